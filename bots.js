@@ -0,0 +1,207 @@
+// Computer-controlled cartons. A bot is any object with a chooseDirection(state)
+// method that returns the direction ({x, y}) its carton should turn to this tick,
+// or null to keep going straight. main.js asks every bot once per tick, before
+// step(), and feeds the answers in like keyboard input (so replays record them).
+// To add a bot, write a factory that takes { player, difficulty, rng } and
+// register it in BOT_STRATEGIES. test/bots.test.js plays bots against each other.
+
+const DIRECTIONS = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }];
+
+// game.js loads first in the page, so its rules are already globals there
+const BOT_RULES = typeof module !== 'undefined' && module.exports
+    ? require('./game.js')
+    : { MOUSE_TYPES, tileDistance };
+
+// reactionTicks - how many ticks late it sees the mice: it chases them where they were
+// optimalChance - how often it takes the planned move rather than any safe one
+const BOT_DIFFICULTIES = {
+    easy: { reactionTicks: 4, optimalChance: 0.6 },
+    normal: { reactionTicks: 2, optimalChance: 0.85 },
+    hard: { reactionTicks: 0, optimalChance: 1 }
+};
+
+// The tile one step from `tile` in direction `dir`, or null past a wall
+function tileAhead(state, tile, dir) {
+    const size = state.tileCount;
+    let x = tile.x + dir.x;
+    let y = tile.y + dir.y;
+    if (state.mode === 'walls') {
+        if (x < 0 || y < 0 || x >= size || y >= size) return null;
+    } else {
+        x = (x + size) % size;
+        y = (y + size) % size;
+    }
+    return { x, y };
+}
+
+// Tiles a carton can't drive into next tick: obstacles and every carton's body.
+// Tail tips count too: a carton that catches a mouse this tick keeps its tail.
+function blockedTiles(state) {
+    const size = state.tileCount;
+    const blocked = new Set(state.obstacles.map(o => o.y * size + o.x));
+    for (const player of state.players) {
+        player.snake.forEach(s => blocked.add(s.y * size + s.x));
+    }
+    return blocked;
+}
+
+// Where each rival is headed if it keeps going straight: tile key -> { from, to },
+// the ticks from now during which its head and then its trailing body cover the tile
+function rivalLanes(state, me, blocked) {
+    const size = state.tileCount;
+    const lanes = new Map();
+    for (const other of state.players) {
+        if (other === me || !other.alive) continue;
+        let tile = other.snake[0];
+        for (let t = 1; t <= size; t++) {
+            tile = tileAhead(state, tile, other.direction);
+            if (!tile || blocked.has(tile.y * size + tile.x)) break;
+            const key = tile.y * size + tile.x;
+            if (!lanes.has(key)) lanes.set(key, { from: t, to: t + other.snake.length });
+        }
+    }
+    return lanes;
+}
+
+// Breadth-first search from `start` to the nearest tile that satisfies `isGoal`,
+// never arriving on a tile while a rival lane (see rivalLanes) covers it.
+// Returns the first direction to take, or null if no goal can be reached.
+function findPath(state, start, firstMoves, blocked, isGoal, lanes = new Map()) {
+    const size = state.tileCount;
+    const covered = (key, ticks) => {
+        const lane = lanes.get(key);
+        return lane !== undefined && ticks >= lane.from && ticks <= lane.to;
+    };
+    const seen = new Set([start.y * size + start.x]);
+    const queue = [];
+    for (const dir of firstMoves) {
+        const tile = tileAhead(state, start, dir);
+        if (!tile) continue;
+        const key = tile.y * size + tile.x;
+        if (blocked.has(key) || covered(key, 1)) continue;
+        seen.add(key);
+        queue.push({ tile, first: dir, ticks: 1 });
+    }
+    for (let i = 0; i < queue.length; i++) {
+        const { tile, first, ticks } = queue[i];
+        if (isGoal(tile)) return first;
+        for (const dir of DIRECTIONS) {
+            const next = tileAhead(state, tile, dir);
+            if (!next) continue;
+            const key = next.y * size + next.x;
+            if (seen.has(key) || blocked.has(key) || covered(key, ticks + 1)) continue;
+            seen.add(key);
+            queue.push({ tile: next, first, ticks: ticks + 1 });
+        }
+    }
+    return null;
+}
+
+// Number of open tiles reachable from `start` (capped at `limit` to keep it cheap)
+function openArea(state, start, blocked, limit) {
+    const size = state.tileCount;
+    const seen = new Set([start.y * size + start.x]);
+    const queue = [start];
+    for (let i = 0; i < queue.length && seen.size < limit; i++) {
+        for (const dir of DIRECTIONS) {
+            const next = tileAhead(state, queue[i], dir);
+            if (!next) continue;
+            const key = next.y * size + next.x;
+            if (seen.has(key) || blocked.has(key)) continue;
+            seen.add(key);
+            queue.push(next);
+        }
+    }
+    return seen.size;
+}
+
+// Chases the nearest mouse worth points along the shortest path, but only takes a
+// move that leaves it at least its own length of open board to drive around in;
+// when nothing is safe enough it heads for the roomiest tile instead. It expects
+// rivals to keep going straight and routes around their lanes, and avoids tiles a
+// rival head could also reach next tick while another route to the mouse exists.
+function createPathfinderBot({ player, difficulty = 'normal', rng = Math.random } = {}) {
+    const level = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.normal;
+    const sightings = []; // state.mice from the last reactionTicks + 1 ticks, oldest first
+
+    return {
+        difficulty,
+        chooseDirection(state) {
+            const me = state.players[player];
+            if (!me || !me.alive) return null;
+            const size = state.tileCount;
+            const head = me.snake[0];
+            const blocked = blockedTiles(state);
+
+            // Another head may move next to us this tick; avoid meeting it if we can
+            const rivalReach = new Set();
+            state.players.forEach(other => {
+                if (other === me || !other.alive) return;
+                for (const dir of DIRECTIONS) {
+                    const tile = tileAhead(state, other.snake[0], dir);
+                    if (tile) rivalReach.add(tile.y * size + tile.x);
+                }
+            });
+
+            // Every move except reversing, scored by how much room it leaves
+            const moves = DIRECTIONS
+                .filter(dir => dir.x !== -me.direction.x || dir.y !== -me.direction.y)
+                .map(dir => {
+                    const tile = tileAhead(state, head, dir);
+                    if (!tile || blocked.has(tile.y * size + tile.x)) return null;
+                    const key = tile.y * size + tile.x;
+                    const room = openArea(state, tile, new Set(blocked).add(head.y * size + head.x), me.snake.length + 2);
+                    return { dir, room, contested: rivalReach.has(key) };
+                })
+                .filter(Boolean);
+            if (!moves.length) return null;
+
+            const roomy = moves.filter(m => m.room > me.snake.length);
+            const candidates = roomy.length ? roomy : moves;
+            const uncontested = candidates.filter(m => !m.contested);
+
+            // Slower bots see the mice late: they chase them where they were a few ticks ago
+            sightings.push(state.mice);
+            if (sightings.length > level.reactionTicks + 1) sightings.shift();
+            const prey = sightings[0].filter(m => BOT_RULES.MOUSE_TYPES[m.type].points > 0);
+            prey.sort((a, b) => BOT_RULES.tileDistance(state, head, a) - BOT_RULES.tileDistance(state, head, b));
+            const mouse = prey[0];
+
+            let choice = null;
+            if (mouse && rng() < level.optimalChance) {
+                const isMouse = tile => tile.x === mouse.x && tile.y === mouse.y;
+                const lanes = rivalLanes(state, me, blocked);
+                // Only cut across a rival's reach when there is no other way to the mouse
+                for (const pool of [uncontested, candidates]) {
+                    const dir = findPath(state, head, pool.map(m => m.dir), blocked, isMouse, lanes);
+                    choice = pool.find(m => m.dir === dir) || null;
+                    if (choice) break;
+                }
+            }
+            if (!choice) {
+                // No path, or a deliberate slip: the roomiest move, ties broken at random
+                const pool = uncontested.length ? uncontested : candidates;
+                const best = Math.max(...pool.map(m => m.room));
+                const roomiest = pool.filter(m => m.room === best);
+                choice = roomiest[Math.floor(rng() * roomiest.length)];
+            }
+            const straight = choice.dir.x === me.direction.x && choice.dir.y === me.direction.y;
+            return straight ? null : { x: choice.dir.x, y: choice.dir.y };
+        }
+    };
+}
+
+const BOT_STRATEGIES = {
+    pathfinder: createPathfinderBot
+};
+
+// Build a registered bot for the carton at index `player`
+function createBot(name, options) {
+    const factory = BOT_STRATEGIES[name];
+    if (!factory) throw new Error(`Unknown bot: ${name}`);
+    return factory(options);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BOT_DIFFICULTIES, BOT_STRATEGIES, createPathfinderBot, createBot, findPath, openArea, rivalLanes };
+}
@@ -0,0 +1,564 @@
+// Simulation core: the rules of Ponki Simulator with no DOM, canvas or audio access.
+// main.js owns presentation and drives the game through step(), reacting to the
+// events it returns. The same file loads under Node so the rules can run headlessly.
+
+const TILE_COUNT = 30; // number of tiles per row/column (grid is square)
+
+// Seedable PRNG (mulberry32). Returns a function producing floats in [0, 1) like
+// Math.random; the same seed always yields the same sequence. getState() returns
+// a seed that continues the sequence from the current position.
+function createRng(seed) {
+    let a = seed >>> 0;
+    function rng() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    rng.getState = () => a;
+    return rng;
+}
+
+// Pick a fresh 32-bit seed for a new run
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Power-ups appear now and then and are picked up like mice. Timed ones add an
+// entry to state.effects for `duration` ticks:
+//   ghost    - drive through your own tail instead of crashing
+//   slow     - ticks take twice as long
+//   magnet   - every `pullEvery` ticks, mice within `radius` step toward the carton
+//   scissors - instantly drops the last `trim` tail segments
+const POWERUP_TYPES = {
+    ghost: { duration: 50 },
+    slow: { duration: 60 },
+    magnet: { duration: 70, pullEvery: 2, radius: 8 },
+    scissors: { trim: 5 }
+};
+const POWERUP_SPAWN_CHANCE = 0.01; // per tick, while no power-up is on the board
+const POWERUP_LIFETIME = 80; // ticks a power-up waits on the board before vanishing
+
+// Board modes: 'wrap' is the original toroidal world, 'walls' kills the carton at the edge
+const BOARD_MODES = ['wrap', 'walls'];
+
+// Where each carton starts: player one on the left heading right, player two
+// lower down on the right heading left. `clear` is the stretch of its row that
+// maps must leave open (the starting tiles plus some room ahead).
+const START_POSITIONS = [
+    {
+        snake: [{ x: 10, y: 10 }, { x: 9, y: 10 }, { x: 8, y: 10 }],
+        direction: { x: 1, y: 0 },
+        clear: { y: 10, from: 8, to: 14 }
+    },
+    {
+        snake: [{ x: 19, y: 19 }, { x: 20, y: 19 }, { x: 21, y: 19 }],
+        direction: { x: -1, y: 0 },
+        clear: { y: 19, from: 15, to: 21 }
+    }
+];
+
+// Used when no level table is passed in: one level at the original speed
+const DEFAULT_LEVELS = [{ speed: 100 }];
+
+// Mouse catalogue. Each type has a spawn weight and its own behaviour:
+//   points    - added to the score when caught (mice with points also grow the tail)
+//   lifetime  - ticks before the mouse vanishes on its own
+//   fleeEvery - moves one tile away from the carton every N ticks
+//   shrink    - tail segments lost when caught
+const MOUSE_TYPES = {
+    normal: { points: 1, weight: 70 },
+    golden: { points: 5, weight: 8, lifetime: 50 },
+    fast: { points: 2, weight: 14, fleeEvery: 3 },
+    poisoned: { points: 0, weight: 8, lifetime: 90, shrink: 3 }
+};
+
+// Build a fresh game state. `rng` is a function returning a float in [0, 1)
+// (defaults to Math.random) and is only used to place the first mouse.
+// options.mouseQuota: win after catching this many mice (0/null = fill the board)
+// options.mode: one of BOARD_MODES (defaults to 'wrap')
+// options.map: { name, obstacles: [{x, y}] } static obstacle tiles (see maps.js)
+// options.levels: [{ speed, map?, mouseStepEvery? }] with maps already resolved to
+//   { name, obstacles } (see levels.js); options.micePerLevel: mice needed per level
+// options.miceOnBoard: how many mice are on the board at once (default 2)
+// options.players: number of cartons, 1 or 2 (see START_POSITIONS)
+function createGameState(options = {}, rng = Math.random) {
+    const map = options.map || { name: 'Open Field', obstacles: [] };
+    const state = {
+        tileCount: TILE_COUNT,
+        mouseQuota: options.mouseQuota || 0,
+        mode: BOARD_MODES.includes(options.mode) ? options.mode : 'wrap',
+        mapName: map.name,
+        obstacles: map.obstacles.map(o => ({ x: o.x, y: o.y })),
+        levelMaps: map.obstacles.length === 0, // level maps only ever replace the open field
+        levels: options.levels && options.levels.length ? options.levels : DEFAULT_LEVELS,
+        micePerLevel: options.micePerLevel || 5,
+        level: 1,
+        players: START_POSITIONS.slice(0, options.players === 2 ? 2 : 1).map((start, id) => ({
+            id,
+            snake: start.snake.map(s => ({ x: s.x, y: s.y })), // snake[0] is the head
+            direction: { x: start.direction.x, y: start.direction.y },
+            score: 0,
+            caught: 0, // mice caught; drives levels and the quota (score counts points)
+            effects: {}, // active timed power-ups: { [type]: tick the effect ends on }
+            alive: true
+        })),
+        mice: [], // [{ id, type, x, y, expiresAt }] see MOUSE_TYPES
+        miceOnBoard: options.miceOnBoard || 2,
+        nextMouseId: 1, // shared by mice and power-ups
+        powerups: [], // [{ id, type, x, y, expiresAt }] see POWERUP_TYPES
+        tick: 0, // number of steps taken; replays key their inputs by it
+        status: 'running', // 'running' | 'dead' | 'won' (one carton) or 'over' (several)
+        winner: null // player index once a multi-carton round is over (null = draw)
+    };
+
+    // Each carton needs its starting tiles and a little room ahead of it
+    state.players.forEach(player => {
+        const clear = START_POSITIONS[player.id].clear;
+        for (let x = clear.from; x <= clear.to; x++) {
+            if (isObstacle(state, x, clear.y)) throw new Error('Map blocks the starting position');
+        }
+    });
+
+    // The first mouse is always a plain one; the rest of the board fills by weight
+    const first = spawnMouse(state, rng, 'normal');
+    if (first) state.mice.push(first);
+    refillMice(state, rng);
+    return state;
+}
+
+function currentLevel(state) {
+    return state.levels[state.level - 1];
+}
+
+function hasEffect(state, player, type) {
+    return player.effects[type] !== undefined && player.effects[type] > state.tick;
+}
+
+// Milliseconds per tick: the level's speed, doubled while any carton has slow-motion
+function tickLength(state) {
+    const speed = currentLevel(state).speed;
+    return state.players.some(p => p.alive && hasEffect(state, p, 'slow')) ? speed * 2 : speed;
+}
+
+// Every tile covered by a carton, heads included
+function allSegments(state) {
+    return state.players.reduce((all, p) => all.concat(p.snake), []);
+}
+
+function isObstacle(state, x, y) {
+    return state.obstacles.some(o => o.x === x && o.y === y);
+}
+
+// A turn is only accepted when it is perpendicular to the current heading:
+// reversing into your own neck (or repeating the same direction) is ignored.
+function canTurn(current, requested) {
+    if (!requested) return false;
+    if (current.x === 0 && current.y === 0) return true;
+    return (current.x === 0 && requested.x !== 0) || (current.y === 0 && requested.y !== 0);
+}
+
+// Copy the parts of the state step() mutates so callers keep their previous snapshot
+function cloneState(state) {
+    return {
+        ...state,
+        players: state.players.map(p => ({
+            ...p,
+            snake: p.snake.map(s => ({ x: s.x, y: s.y })),
+            direction: { x: p.direction.x, y: p.direction.y },
+            effects: { ...p.effects }
+        })),
+        mice: state.mice.map(m => ({ ...m })),
+        powerups: state.powerups.map(p => ({ ...p }))
+    };
+}
+
+// Advance the simulation by one tick.
+// input: { directions: [{x, y} | null, ...] } with one entry per carton, or null when
+// nobody steered this tick; { direction } is shorthand for the first carton.
+// Returns the new state plus a list of events for the presentation layer:
+//   { type: 'ate', player, x, y, score, mouseType, points } - a head caught a mouse
+//   { type: 'expired', x, y, mouseType } - a mouse with a lifetime vanished
+//   { type: 'powerup', player, x, y, powerType } - a head picked up a power-up
+//   { type: 'effectEnded', player, powerType } - a timed power-up wore off
+//   { type: 'levelup', level, speed } - enough mice caught to reach the next level
+//   { type: 'died', player, reason } - a carton crashed ('self', 'wall', 'obstacle',
+//                                      'carton' or 'headon')
+//   { type: 'won', score, reason } - single-carton victory ('quota' or 'full'); status 'won'
+//   { type: 'result', winner, reason } - a multi-carton round ended ('crash' or 'quota');
+//                                        status 'over', winner is a player index or null for a draw
+// With one carton a crash ends the run (status 'dead'). With several, all cartons
+// move at once and the round ends as soon as any of them crashes or meets the quota.
+function step(state, input, rng = Math.random) {
+    const events = [];
+    if (state.status !== 'running') return { state, events };
+
+    const next = cloneState(state);
+    next.tick++;
+    const directions = input ? (input.directions || [input.direction]) : [];
+    next.players.forEach((player, i) => {
+        if (canTurn(player.direction, directions[i])) {
+            player.direction = { x: directions[i].x, y: directions[i].y };
+        }
+    });
+
+    // Judge every move against where the cartons were before anyone moved
+    const heads = next.players.map(player => nextHead(next, player));
+    const crashed = [];
+    next.players.forEach((player, i) => {
+        const reason = crashReason(next, player, heads[i], heads);
+        if (!reason) return;
+        crashed.push(player);
+        events.push({ type: 'died', player: player.id, reason });
+    });
+    if (crashed.length) {
+        crashed.forEach(player => { player.alive = false; });
+        if (next.players.length === 1) return die(next, events);
+        const survivors = next.players.filter(p => p.alive);
+        return settleRound(next, events, 'crash', survivors.length ? survivors : next.players);
+    }
+
+    const size = next.tileCount;
+    const reachedQuota = [];
+    next.players.forEach((player, i) => {
+        const head = heads[i];
+        player.snake.unshift({ x: head.x, y: head.y });
+
+        // Power-up pickup
+        const powerup = next.powerups.find(p => p.x === head.x && p.y === head.y);
+        if (powerup) {
+            next.powerups = next.powerups.filter(p => p !== powerup);
+            const type = POWERUP_TYPES[powerup.type];
+            if (type.duration) player.effects[powerup.type] = next.tick + type.duration;
+            // Keep the head and one segment once the usual tail pop below has run
+            if (type.trim) player.snake.length = Math.max(3, player.snake.length - type.trim);
+            events.push({ type: 'powerup', player: player.id, x: head.x, y: head.y, powerType: powerup.type });
+        }
+
+        // Mouse Collision
+        const caught = next.mice.find(m => m.x === head.x && m.y === head.y);
+        if (caught) {
+            next.mice = next.mice.filter(m => m !== caught);
+            const type = MOUSE_TYPES[caught.type];
+            if (type.points > 0) {
+                player.score += type.points;
+                player.caught++;
+            } else {
+                player.snake.pop();
+            }
+            if (type.shrink) player.snake.length = Math.max(1, player.snake.length - type.shrink);
+            events.push({
+                type: 'ate', player: player.id, x: head.x, y: head.y,
+                score: player.score, mouseType: caught.type, points: type.points
+            });
+            if (next.mouseQuota && player.caught >= next.mouseQuota) reachedQuota.push(player);
+        } else {
+            player.snake.pop();
+        }
+    });
+
+    // Victory: either the mouse quota is met or a lone carton covers every open tile
+    if (reachedQuota.length) {
+        if (next.players.length === 1) return finish(next, events, 'quota');
+        return settleRound(next, events, 'quota', reachedQuota);
+    }
+    if (next.players.length === 1 && next.players[0].snake.length >= size * size - next.obstacles.length) {
+        return finish(next, events, 'full');
+    }
+
+    const totalCaught = next.players.reduce((sum, p) => sum + p.caught, 0);
+    const level = Math.min(next.levels.length, 1 + Math.floor(totalCaught / next.micePerLevel));
+    if (level > next.level) {
+        applyLevel(next, level);
+        events.push({ type: 'levelup', level, speed: currentLevel(next).speed });
+    }
+
+    updateEffects(next, events);
+    updateMice(next, events, rng);
+    refillMice(next, rng);
+    updatePowerUps(next, rng);
+
+    return { state: next, events };
+}
+
+// Where a carton's head goes this tick; wraps around borders (toroidal world)
+// or, in walled mode, is flagged as leaving the board
+function nextHead(state, player) {
+    const size = state.tileCount;
+    let x = player.snake[0].x + player.direction.x;
+    let y = player.snake[0].y + player.direction.y;
+    if (state.mode === 'walls') {
+        if (x < 0 || y < 0 || x >= size || y >= size) return { x, y, offBoard: true };
+    } else {
+        x = (x + size) % size;
+        y = (y + size) % size;
+    }
+    return { x, y, offBoard: false };
+}
+
+// Why a carton crashes moving to `head`, or null if the move is safe.
+// Driving into another carton's body loses; two heads meeting knocks both out.
+function crashReason(state, player, head, heads) {
+    if (head.offBoard) return 'wall';
+    if (isObstacle(state, head.x, head.y)) return 'obstacle';
+    for (const other of state.players) {
+        if (other === player) continue;
+        const otherHead = heads[state.players.indexOf(other)];
+        if (otherHead.x === head.x && otherHead.y === head.y) return 'headon';
+        if (other.snake.some(s => s.x === head.x && s.y === head.y)) return 'carton';
+    }
+    // Self Collision (ghost mode drives straight through the tail)
+    if (!hasEffect(state, player, 'ghost') && player.snake.some(s => s.x === head.x && s.y === head.y)) {
+        return 'self';
+    }
+    return null;
+}
+
+// Switch to a new level, swapping the map if the level brings one and the run started
+// on the open field (a map the player picked stays put). Obstacles that would land on
+// the cartons or right in front of them are left out so a level-up is never fatal.
+function applyLevel(state, level) {
+    state.level = level;
+    const map = currentLevel(state).map;
+    if (!map || !state.levelMaps) return;
+
+    const size = state.tileCount;
+    const keepClear = new Set(allSegments(state).map(s => s.y * size + s.x));
+    for (const player of state.players) {
+        const head = player.snake[0];
+        for (let i = 1; i <= 3; i++) {
+            const x = (head.x + player.direction.x * i + size) % size;
+            const y = (head.y + player.direction.y * i + size) % size;
+            keepClear.add(y * size + x);
+        }
+    }
+    state.mapName = map.name;
+    state.obstacles = map.obstacles
+        .filter(o => !keepClear.has(o.y * size + o.x))
+        .map(o => ({ x: o.x, y: o.y }));
+    // Mice and power-ups buried under the new map are dropped; refillMice() replaces the mice
+    state.mice = state.mice.filter(m => !isObstacle(state, m.x, m.y));
+    state.powerups = state.powerups.filter(p => !isObstacle(state, p.x, p.y));
+}
+
+// Tiles reachable in one move from (x, y), honouring the board mode
+function neighbours(state, x, y) {
+    const size = state.tileCount;
+    const result = [];
+    for (const d of [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }]) {
+        let nx = x + d.x;
+        let ny = y + d.y;
+        if (state.mode === 'walls') {
+            if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+        } else {
+            nx = (nx + size) % size;
+            ny = (ny + size) % size;
+        }
+        result.push({ x: nx, y: ny });
+    }
+    return result;
+}
+
+// Shortest number of moves between two tiles, counting wrap-around in wrap mode
+function tileDistance(state, a, b) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (state.mode !== 'walls') {
+        dx = Math.min(dx, state.tileCount - dx);
+        dy = Math.min(dy, state.tileCount - dy);
+    }
+    return dx + dy;
+}
+
+// Neighbouring tiles a mouse may step onto: no obstacles, carton, power-ups or other mice
+function mouseMoves(state, mouse) {
+    return neighbours(state, mouse.x, mouse.y).filter(t =>
+        !isObstacle(state, t.x, t.y) &&
+        !state.players.some(p => p.snake.some(s => s.x === t.x && s.y === t.y)) &&
+        !state.powerups.some(p => p.x === t.x && p.y === t.y) &&
+        !state.mice.some(m => m.x === t.x && m.y === t.y));
+}
+
+// Step a mouse to whichever neighbour is nearest to (toward = true) or farthest
+// from the target tile; it stays put if no move improves on where it is
+function moveMouseRelativeTo(state, mouse, target, toward) {
+    let best = null;
+    let bestDist = tileDistance(state, mouse, target);
+    for (const t of mouseMoves(state, mouse)) {
+        const d = tileDistance(state, t, target);
+        if (toward ? d < bestDist : d > bestDist) {
+            best = t;
+            bestDist = d;
+        }
+    }
+    if (best) {
+        mouse.x = best.x;
+        mouse.y = best.y;
+    }
+}
+
+// Timed power-ups wear off
+function updateEffects(state, events) {
+    for (const player of state.players) {
+        for (const type of Object.keys(player.effects)) {
+            if (player.effects[type] > state.tick) continue;
+            delete player.effects[type];
+            events.push({ type: 'effectEnded', player: player.id, powerType: type });
+        }
+    }
+}
+
+// The carton head closest to a tile, optionally only among cartons with a given effect
+function nearestHead(state, tile, effect = null) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const player of state.players) {
+        if (effect && !hasEffect(state, player, effect)) continue;
+        const d = tileDistance(state, tile, player.snake[0]);
+        if (d < bestDist) {
+            best = player.snake[0];
+            bestDist = d;
+        }
+    }
+    return best;
+}
+
+// Power-ups on the board time out, and a new one occasionally appears
+function updatePowerUps(state, rng) {
+    state.powerups = state.powerups.filter(p => p.expiresAt > state.tick);
+    if (state.powerups.length > 0 || rng() >= POWERUP_SPAWN_CHANCE) return;
+    const names = Object.keys(POWERUP_TYPES);
+    const tile = randomFreeTile(state, rng);
+    if (!tile) return;
+    state.powerups.push({
+        id: state.nextMouseId++,
+        type: names[Math.floor(rng() * names.length)],
+        x: tile.x,
+        y: tile.y,
+        expiresAt: state.tick + POWERUP_LIFETIME
+    });
+}
+
+// Per-tick mouse behaviour: lifetimes run out, a magnet pulls nearby mice in,
+// fast mice flee and, on levels that ask for it, the others scurry about at random
+function updateMice(state, events, rng) {
+    state.mice = state.mice.filter(m => {
+        if (m.expiresAt === null || m.expiresAt > state.tick) return true;
+        events.push({ type: 'expired', x: m.x, y: m.y, mouseType: m.type });
+        return false;
+    });
+
+    const scurryEvery = currentLevel(state).mouseStepEvery;
+    const magnet = POWERUP_TYPES.magnet;
+    for (const mouse of state.mice) {
+        const type = MOUSE_TYPES[mouse.type];
+        const magnetHead = nearestHead(state, mouse, 'magnet');
+        if (magnetHead && tileDistance(state, mouse, magnetHead) <= magnet.radius) {
+            if (state.tick % magnet.pullEvery === 0) moveMouseRelativeTo(state, mouse, magnetHead, true);
+        } else if (type.fleeEvery) {
+            if (state.tick % type.fleeEvery === 0) moveMouseRelativeTo(state, mouse, nearestHead(state, mouse), false);
+        } else if (scurryEvery && state.tick % scurryEvery === 0) {
+            const moves = mouseMoves(state, mouse);
+            if (moves.length === 0) continue; // boxed in: stay put
+            const t = moves[Math.floor(rng() * moves.length)];
+            mouse.x = t.x;
+            mouse.y = t.y;
+        }
+    }
+}
+
+// Weighted pick from MOUSE_TYPES
+function pickMouseType(rng) {
+    const names = Object.keys(MOUSE_TYPES);
+    const total = names.reduce((sum, name) => sum + MOUSE_TYPES[name].weight, 0);
+    let roll = rng() * total;
+    for (const name of names) {
+        roll -= MOUSE_TYPES[name].weight;
+        if (roll < 0) return name;
+    }
+    return names[0];
+}
+
+// Top the board back up to miceOnBoard. There is always at least one mouse worth
+// points around, so a board of poisoned mice can never stall the run.
+function refillMice(state, rng) {
+    while (state.mice.length < state.miceOnBoard) {
+        const hasPrey = state.mice.some(m => MOUSE_TYPES[m.type].points > 0);
+        const mouse = spawnMouse(state, rng, hasPrey ? pickMouseType(rng) : 'normal');
+        if (!mouse) return; // no free tile left
+        state.mice.push(mouse);
+    }
+}
+
+// A lone carton crashed: the run is over (its 'died' event is already queued)
+function die(state, events) {
+    state.status = 'dead';
+    return { state, events };
+}
+
+// The winning mouse has been eaten and the rest scatter
+function finish(state, events, reason) {
+    state.status = 'won';
+    state.mice = [];
+    state.powerups = [];
+    events.push({ type: 'won', score: state.players[0].score, reason });
+    return { state, events };
+}
+
+// End a multi-carton round. The winner is the only candidate (the survivor of a
+// crash, or the carton that met the quota); between several candidates the higher
+// score wins and an equal score is a draw.
+function settleRound(state, events, reason, candidates) {
+    let winner = null;
+    if (candidates.length === 1) {
+        winner = candidates[0].id;
+    } else {
+        const ranked = candidates.slice().sort((a, b) => b.score - a.score);
+        if (ranked[0].score > ranked[1].score) winner = ranked[0].id;
+    }
+    state.status = 'over';
+    state.winner = winner;
+    events.push({ type: 'result', winner, reason });
+    return { state, events };
+}
+
+// List every tile that is not covered by a carton, an obstacle, a mouse or a power-up
+function freeTiles(state) {
+    const size = state.tileCount;
+    const taken = new Set(allSegments(state).concat(state.obstacles, state.mice, state.powerups).map(s => s.y * size + s.x));
+    const tiles = [];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!taken.has(y * size + x)) tiles.push({ x, y });
+        }
+    }
+    return tiles;
+}
+
+function randomFreeTile(state, rng) {
+    const tiles = freeTiles(state);
+    return tiles.length ? tiles[Math.floor(rng() * tiles.length)] : null;
+}
+
+// Place a mouse of the given type on a random free tile in a single draw;
+// returns null when the board is full
+function spawnMouse(state, rng = Math.random, type = 'normal') {
+    const tile = randomFreeTile(state, rng);
+    if (!tile) return null;
+    const lifetime = MOUSE_TYPES[type].lifetime;
+    return {
+        id: state.nextMouseId++,
+        type,
+        x: tile.x,
+        y: tile.y,
+        expiresAt: lifetime ? state.tick + lifetime : null
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TILE_COUNT, BOARD_MODES, START_POSITIONS, MOUSE_TYPES, POWERUP_TYPES, createRng, randomSeed,
+        createGameState, currentLevel, hasEffect, tickLength, allSegments, isObstacle, canTurn, step, neighbours, tileDistance, freeTiles, spawnMouse
+    };
+}
@@ -0,0 +1,92 @@
+// Local high-score table: the top HIGHSCORE_LIMIT runs, kept in localStorage.
+// Entries look like { name, score, date (ISO string), length, durationMs, mode }.
+// The storage (localStorage, or any getItem/setItem object) is a parameter throughout.
+
+const HIGHSCORE_KEY = 'ponki-highscores';
+const HIGHSCORE_LIMIT = 10;
+
+// Highest score first; ties go to whoever got there first
+function compareHighScores(a, b) {
+    return b.score - a.score || a.date.localeCompare(b.date);
+}
+
+// Drop malformed entries, then sort and trim to the table size
+function sanitizeHighScores(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(e => e && typeof e.name === 'string' && Number.isFinite(e.score) && typeof e.date === 'string')
+        .map(e => ({
+            name: e.name.slice(0, 16),
+            score: e.score,
+            date: e.date,
+            length: Number.isFinite(e.length) ? e.length : 0,
+            durationMs: Number.isFinite(e.durationMs) ? e.durationMs : 0,
+            mode: typeof e.mode === 'string' ? e.mode : ''
+        }))
+        .sort(compareHighScores)
+        .slice(0, HIGHSCORE_LIMIT);
+}
+
+function loadHighScores(storage) {
+    try {
+        const raw = storage.getItem(HIGHSCORE_KEY);
+        return raw ? sanitizeHighScores(JSON.parse(raw)) : [];
+    } catch (_) {
+        return [];
+    }
+}
+
+function saveHighScores(storage, table) {
+    try {
+        storage.setItem(HIGHSCORE_KEY, JSON.stringify(table));
+    } catch (_) {}
+}
+
+function qualifiesForHighScore(table, score) {
+    if (score <= 0) return false;
+    return table.length < HIGHSCORE_LIMIT || score > table[table.length - 1].score;
+}
+
+// Insert an entry; returns the new table and the entry's 0-based rank (-1 if it didn't make it)
+function addHighScore(table, entry) {
+    const next = sanitizeHighScores(table.concat([entry]));
+    const rank = next.findIndex(e => e.date === entry.date && e.score === entry.score);
+    return { table: next, rank };
+}
+
+// Combine two tables (e.g. an imported one), skipping entries present in both
+function mergeHighScores(a, b) {
+    const seen = new Set();
+    const merged = [];
+    for (const e of a.concat(b)) {
+        const key = `${e.name}|${e.score}|${e.date}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.push(e);
+    }
+    return sanitizeHighScores(merged);
+}
+
+function serializeHighScores(table) {
+    return JSON.stringify({ version: 1, scores: table }, null, 2);
+}
+
+// Parse an exported table; throws an Error with a readable message
+function parseHighScores(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (_) {
+        throw new Error('High-score file is not valid JSON');
+    }
+    const list = Array.isArray(data) ? data : data && data.scores;
+    if (!Array.isArray(list)) throw new Error('High-score file has no scores');
+    return sanitizeHighScores(list);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HIGHSCORE_KEY, HIGHSCORE_LIMIT, loadHighScores, saveHighScores, qualifiesForHighScore,
+        addHighScore, mergeHighScores, serializeHighScores, parseHighScores
+    };
+}
@@ -0,0 +1,25 @@
+// Level progression. The carton levels up every MICE_PER_LEVEL mice; each level
+// sets the tick length and may swap in a built-in map (by id, see maps.js) or
+// change how the mouse behaves. The last level repeats once it is reached.
+//
+//   speed          - ms per tick
+//   map            - optional built-in map id; replaces the board's obstacles when the
+//                    run started on the open field (a chosen map is kept)
+//   mouseStepEvery - the mouse scurries one tile every N ticks (0 = it sits still)
+
+const MICE_PER_LEVEL = 5;
+
+const LEVELS = [
+    { speed: 100 },
+    { speed: 92 },
+    { speed: 85, mouseStepEvery: 12 },
+    { speed: 78, map: 'pillars' },
+    { speed: 72, mouseStepEvery: 8 },
+    { speed: 66, map: 'crosshair' },
+    { speed: 60, mouseStepEvery: 6 },
+    { speed: 55, map: 'corridors', mouseStepEvery: 6 }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MICE_PER_LEVEL, LEVELS };
+}
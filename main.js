@@ -1,45 +1,190 @@
 const canvas = document.getElementById('gameCanvas');
-const ctx = canvas.getContext('2d');
+let ctx = canvas.getContext('2d'); // renderLayer() points it at offscreen layers while they draw
 const scoreElement = document.getElementById('score');
+const levelElement = document.getElementById('level');
+const bestElement = document.getElementById('best');
+const effectsElement = document.getElementById('effects');
+const highScoreFileInput = document.getElementById('highscore-file');
 const finalScoreElement = document.getElementById('final-score');
 const startScreen = document.getElementById('start-screen');
 const gameOverScreen = document.getElementById('game-over-screen');
 const startBtn = document.getElementById('start-btn');
+const continueBtn = document.getElementById('continue-btn');
 const restartBtn = document.getElementById('restart-btn');
 const winScreen = document.getElementById('win-screen');
 const winScoreElement = document.getElementById('win-score');
 const winRestartBtn = document.getElementById('win-restart-btn');
+const resultsScreen = document.getElementById('results-screen');
+const resultsTitleElement = document.getElementById('results-title');
+const resultsDetailElement = document.getElementById('results-detail');
+const resultsRestartBtn = document.getElementById('results-restart-btn');
 const pauseBtn = document.getElementById('pause-btn');
 const muteBtn = document.getElementById('mute-btn');
+const nextTrackBtn = document.getElementById('next-track-btn');
 const bgMusic = document.getElementById('bg-music');
-let isMuted = false;
+const goalSelect = document.getElementById('goal-select');
+const modeSelect = document.getElementById('mode-select');
+const opponentSelect = document.getElementById('opponent-select');
+const mapSelect = document.getElementById('map-select');
+const mapFileInput = document.getElementById('map-file');
+const replayControls = document.getElementById('replay-controls');
+const replayStatus = document.getElementById('replay-status');
+const replayStepBtn = document.getElementById('replay-step-btn');
+const replaySpeedBtn = document.getElementById('replay-speed-btn');
+const replayExitBtn = document.getElementById('replay-exit-btn');
+const replayFileInput = document.getElementById('replay-file');
+const noticeElement = document.getElementById('notice');
+const announcerElement = document.getElementById('announcer');
+const updatePrompt = document.getElementById('update-prompt');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+const settingsScreen = document.getElementById('settings-screen');
+const settingsBtn = document.getElementById('settings-btn');
+const keyBindingsElement = document.getElementById('key-bindings');
+const bindingMessage = document.getElementById('binding-message');
 const debugBtn = document.getElementById('debug-btn');
+const hintBtn = document.getElementById('hint-btn');
 let debugOn = false;
 let debugOverlay = null;
 
-// Game Constants
+// Game Constants (TILE_COUNT lives in game.js with the rest of the rules;
+// the tick length comes from the current level, see levels.js)
 let GRID_SIZE = 20; // will be recalculated on resize
-const TILE_COUNT = 30; // number of tiles per row/column (grid is square)
-const GAME_SPEED = 100; // ms per frame
-
-// Game State
-let snake = [];
-let direction = { x: 0, y: 0 };
-let nextDirection = { x: 0, y: 0 };
-let food = { x: 0, y: 0 };
-let score = 0;
-let gameLoopId;
+const LEVEL_BANNER_MS = 1500; // how long the level-up banner stays on the canvas
+
+// Game State: `game` is the simulation state owned by game.js; main.js only
+// collects input for the next tick and renders whatever step() returns.
+let game = null;
+// Turns waiting to be applied, per carton: one is taken each tick, so quick double
+// turns (up then left inside one tick) both land. Every input source feeds these.
+let inputQueues = [];
+const INPUT_QUEUE_SIZE = 3;
+let botSetup = {}; // { [player index]: difficulty } for computer-driven cartons
+let bots = []; // the bots driving those cartons (live runs only; replays replay their input)
+let attractBot = null; // autopilot driving the demo behind the start screen (see startAttractMode)
+let hintBot = null; // autopilot suggesting player one's next turn while hints are on
+let hintOn = false;
+let hint = null; // { tick, direction } suggestion for the current tick
+let levelBanner = null; // { text, shownAt } while the level-up banner is visible
+
+// Player settings (settings.js); changes apply immediately and are saved as they happen
+let settings = loadSettings(getStorage());
+let capturingAction = null; // key action waiting for a new key in the settings panel
+let settingsReturnScreen = null; // screen to show again when the settings panel closes
+let settingsOpener = null; // element that had focus when the settings panel opened
+
+// Run stats for the high-score table
+let highScores = loadHighScores(getStorage());
+let runTimeMs = 0; // time spent driving (pauses excluded)
+let runModeLabel = '';
+let rng = Math.random; // seeded per run so spawns can be reproduced
+
+// Replays: every run is recorded; `replayPlayer` is set while one plays back
+let recorder = null;
+let runOptions = null; // options the current run was started with (kept for saving it)
+let lastReplay = null;
+let replayPlayer = null;
+let replaySpeed = 1;
+const REPLAY_SPEEDS = [1, 2, 4];
+let prevGame = null; // state before the latest tick; draw() interpolates from it to `game`
 let isGameRunning = false;
 let isPaused = false;
 
-// Assets (Simple drawing for now, could be replaced with images later)
+// Assets: vector drawing in these colours, which a theme may recolour or replace
+// with sprites (see applyTheme)
 const COLORS = {
+    background: '#ecf0f1', // Playing field
+    border: '#000000',
+    tailLink: '#7f8c8d', // Line linking the mice in the train
     milkCarton: '#ecf0f1', // White-ish
     milkCartonDetail: '#3498db', // Blue details
     ponki: '#2c3e50', // Dark grey/black
     ponkiPaws: '#ecf0f1', // White paws
     mouse: '#95a5a6', // Grey
-    mouseEars: '#e74c3c' // Pinkish
+    mouseEars: '#e74c3c', // Pinkish
+    mouseGolden: '#f1c40f',
+    mouseGoldenEars: '#e67e22',
+    mouseFast: '#a0522d', // Brown
+    mousePoisoned: '#27ae60', // Sickly green
+    mousePoisonedEars: '#1e8449',
+    powerUp: '#8e44ad', // Purple badge behind power-up icons
+    obstacle: '#7f8c8d', // Stone grey
+    obstacleEdge: '#566573',
+    strawberryCarton: '#fadbd8', // Second player's carton
+    strawberryCartonDetail: '#e74c3c',
+    strawberryTail: '#d7bde2'
+};
+
+const CLASSIC_COLORS = { ...COLORS };
+
+// Carton colours per player, indexed like game.players; `sprites` prefixes the
+// carton's frame names in a theme's sprite sheet
+function cartonColors() {
+    return [
+        { carton: COLORS.milkCarton, detail: COLORS.milkCartonDetail, tail: COLORS.mouse, sprites: '' },
+        { carton: COLORS.strawberryCarton, detail: COLORS.strawberryCartonDetail, tail: COLORS.strawberryTail, sprites: 'p2-' }
+    ];
+}
+let CARTON_COLORS = cartonColors();
+
+// Themes come from a manifest: a palette laid over COLORS and, optionally, a sprite
+// sheet with frames named like 'head-up', 'tail-left' or 'mouse-golden'. Anything the
+// sheet doesn't cover (or everything, until it has loaded) uses the vector drawing.
+const THEME_MANIFEST = 'assets/themes.json';
+let themes = [{ id: 'classic', name: 'Classic Ponki', colors: {} }]; // until the manifest loads
+let themeId = null;
+let themeSprites = null; // { image, tileSize, frames } once the active theme's sheet has loaded
+
+// Colour-blind-safe palettes (from the Okabe-Ito set), laid over the theme's colours.
+// They recolour what has to be told apart: mouse types, the two cartons and the
+// power-up badge. Sprite sheets are drawn as they are.
+const PALETTES = {
+    standard: {},
+    // Protanopia and deuteranopia: no red against green
+    redGreen: {
+        milkCartonDetail: '#0072b2',
+        mouse: '#999999',
+        mouseEars: '#000000',
+        mouseGolden: '#f0e442',
+        mouseGoldenEars: '#e69f00',
+        mouseFast: '#56b4e9',
+        mousePoisoned: '#d55e00',
+        mousePoisonedEars: '#6b2f00',
+        powerUp: '#009e73',
+        strawberryCarton: '#f7d9e8',
+        strawberryCartonDetail: '#cc79a7',
+        strawberryTail: '#cc79a7'
+    },
+    // Tritanopia: no blue against yellow or green
+    blueYellow: {
+        milkCartonDetail: '#000000',
+        mouse: '#999999',
+        mouseEars: '#cc79a7',
+        mouseGolden: '#d55e00',
+        mouseGoldenEars: '#6b2f00',
+        mouseFast: '#000000',
+        mousePoisoned: '#009e73',
+        mousePoisonedEars: '#004d38',
+        powerUp: '#cc79a7',
+        strawberryCarton: '#fbd5c0',
+        strawberryCartonDetail: '#d55e00',
+        strawberryTail: '#e8a27c'
+    }
+};
+let paletteId = null;
+
+// Each mouse type meows at its own pitch (multiplier on the base meow)
+const MEOW_PITCH = {
+    normal: 1,
+    golden: 1.35,
+    fast: 1.15,
+    poisoned: 0.6
+};
+
+const POWERUP_LABELS = {
+    ghost: 'Ghost',
+    slow: 'Slow-mo',
+    magnet: 'Magnet',
+    scissors: 'Scissors'
 };
 
 // Helper: draw a filled ellipse without relying on ctx.ellipse (better compatibility)
@@ -57,16 +202,16 @@ function drawFilledEllipse(x, y, rx, ry, rotation = 0, fillStyle = null) {
 
 // Input Handling
 document.addEventListener('keydown', handleInput);
-startBtn.addEventListener('click', startGame);
-restartBtn.addEventListener('click', startGame);
-if (winRestartBtn) winRestartBtn.addEventListener('click', startGame);
-if (muteBtn) muteBtn.addEventListener('click', toggleMute);
-// debugBtn is handled via makeButtonSafe to avoid double-activation with pointer events
+// Buttons are wired through makeButtonSafe, which also takes keyboard presses;
+// a plain click listener as well would fire twice per mouse click
 
-// Helper: attach safe pointer handlers to buttons to avoid offset/capture issues
+// Helper: attach safe pointer handlers to buttons to avoid offset/capture issues.
+// Enter/Space on a focused button (and browsers without pointer events) arrive as a
+// plain click, which activates it too unless a pointerup just did.
 function makeButtonSafe(button, onActivate) {
     if (!button) return;
     let tracking = null;
+    let lastPointerUp = -Infinity;
 
     button.addEventListener('pointerdown', (e) => {
         // Prevent canvas or other listeners from stealing this pointer
@@ -77,6 +222,7 @@ function makeButtonSafe(button, onActivate) {
 
     button.addEventListener('pointerup', (e) => {
         e.stopPropagation();
+        lastPointerUp = performance.now();
         try { button.releasePointerCapture(e.pointerId); } catch (_) {}
         // Use elementFromPoint to verify the up event is over the same button
         const el = document.elementFromPoint(e.clientX, e.clientY);
@@ -96,25 +242,86 @@ function makeButtonSafe(button, onActivate) {
 
     // Cancel tracking on pointercancel/leave
     button.addEventListener('pointercancel', (e) => { tracking = null; try { button.releasePointerCapture(e.pointerId); } catch (_) {} });
+
+    button.addEventListener('click', (e) => {
+        if (performance.now() - lastPointerUp < 500) return; // same press as the pointerup
+        try { onActivate(e); } catch (err) { console.error('button handler error', err); }
+    });
 }
 
 // Make important controls use safe handlers
 makeButtonSafe(startBtn, () => startGame());
+makeButtonSafe(continueBtn, () => continueRun());
 makeButtonSafe(restartBtn, () => startGame());
 makeButtonSafe(winRestartBtn, () => startGame());
+makeButtonSafe(resultsRestartBtn, () => startGame());
 makeButtonSafe(pauseBtn, () => togglePause());
 makeButtonSafe(muteBtn, () => toggleMute());
+makeButtonSafe(nextTrackBtn, () => {
+    initAudio();
+    const track = nextTrack();
+    if (track) showNotice(`Music: ${track.name}`);
+});
+makeButtonSafe(replayStepBtn, () => stepReplay());
+makeButtonSafe(replaySpeedBtn, () => cycleReplaySpeed());
+makeButtonSafe(replayExitBtn, () => exitReplay());
+document.querySelectorAll('.watch-replay-btn').forEach(btn => makeButtonSafe(btn, () => { if (lastReplay) startReplay(lastReplay); }));
+document.querySelectorAll('.export-replay-btn').forEach(btn => makeButtonSafe(btn, () => exportReplay()));
+// The file picker must be opened from a real click, so the load button uses a plain listener
+const loadReplayBtn = document.getElementById('load-replay-btn');
+if (loadReplayBtn && replayFileInput) {
+    loadReplayBtn.addEventListener('click', () => replayFileInput.click());
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files && replayFileInput.files[0];
+        replayFileInput.value = '';
+        if (file) importReplay(file);
+    });
+}
+// Map picker: built-in maps plus any map files loaded from disk this session
+const customMaps = [];
+if (mapSelect) {
+    BUILTIN_MAPS.forEach(map => {
+        const option = document.createElement('option');
+        option.value = `builtin:${map.id}`;
+        option.textContent = map.name;
+        mapSelect.appendChild(option);
+    });
+}
+const loadMapBtn = document.getElementById('load-map-btn');
+if (loadMapBtn && mapFileInput) {
+    loadMapBtn.addEventListener('click', () => mapFileInput.click());
+    mapFileInput.addEventListener('change', () => {
+        const file = mapFileInput.files && mapFileInput.files[0];
+        mapFileInput.value = '';
+        if (file) importMap(file);
+    });
+}
+// High-score table: name entry on the end screens, export/import on the start screen
+document.querySelectorAll('.name-entry').forEach(form => {
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveNameEntry(form);
+    });
+});
+document.querySelectorAll('.export-highscores-btn').forEach(btn => makeButtonSafe(btn, () => exportHighScores()));
+const importHighScoresBtn = document.getElementById('import-highscores-btn');
+if (importHighScoresBtn && highScoreFileInput) {
+    importHighScoresBtn.addEventListener('click', () => highScoreFileInput.click());
+    highScoreFileInput.addEventListener('change', () => {
+        const file = highScoreFileInput.files && highScoreFileInput.files[0];
+        highScoreFileInput.value = '';
+        if (file) importHighScores(file);
+    });
+}
+makeButtonSafe(hintBtn, () => toggleHint());
+makeButtonSafe(settingsBtn, () => openSettings());
+document.querySelectorAll('.open-settings-btn').forEach(btn => makeButtonSafe(btn, () => openSettings()));
+makeButtonSafe(document.getElementById('settings-done-btn'), () => closeSettings());
+makeButtonSafe(document.getElementById('settings-reset-btn'), () => resetSettings());
 makeButtonSafe(debugBtn, () => { debugOn = !debugOn; debugBtn.classList.toggle('active', debugOn); if (debugOn) showDebugOverlay(); else hideDebugOverlay(); });
 // Set up swipe controls for mobile (pointer events)
 initSwipeControls();
 
-// Pause button handler
-if (pauseBtn) {
-    pauseBtn.addEventListener('click', () => {
-        togglePause();
-    });
-}
-
 // Responsive canvas handling
 function resizeCanvas() {
     // Keep the canvas square and fit within the viewport with a small margin
@@ -154,11 +361,95 @@ function setCanvasInteractive(enabled) {
     } catch (_) {}
 }
 
-// Initialize canvas interactive state depending on whether start screen is visible
-try {
-    if (startScreen && startScreen.classList.contains('active')) setCanvasInteractive(false);
-    else setCanvasInteractive(true);
-} catch (_) {}
+// Overlay screens. At most one is shown at a time: showScreen() swaps it in, moves
+// focus to its main button and keeps Tab inside it; hideScreens() clears the
+// overlay for play and hands focus back to whatever had it before. Hidden screens
+// are inert, so neither Tab nor a screen reader wanders into them.
+const SCREENS = [startScreen, gameOverScreen, winScreen, resultsScreen, settingsScreen].filter(Boolean);
+let activeScreen = null;
+let focusBeforeScreens = null; // element focused when the overlay opened (during play)
+
+function showScreen(screen) {
+    if (!activeScreen) focusBeforeScreens = document.activeElement;
+    SCREENS.forEach(s => setScreenVisible(s, s === screen));
+    activeScreen = screen;
+    setCanvasInteractive(false);
+    const button = primaryButton(screen);
+    if (button) button.focus({ preventScroll: true });
+    // Back on the start screen with no run going: the demo plays behind it again
+    if (screen === startScreen && !isGameRunning && !attractBot) startAttractMode();
+}
+
+function hideScreens() {
+    SCREENS.forEach(s => setScreenVisible(s, false));
+    activeScreen = null;
+    setCanvasInteractive(true);
+    const previous = focusBeforeScreens;
+    focusBeforeScreens = null;
+    if (previous && previous !== document.body && document.contains(previous) && !previous.closest('.screen')) {
+        previous.focus();
+    } else if (document.activeElement && document.activeElement.blur) {
+        document.activeElement.blur(); // keys go to the document again
+    }
+}
+
+function setScreenVisible(screen, visible) {
+    screen.classList.toggle('active', visible);
+    screen.classList.toggle('hidden', !visible);
+    screen.inert = !visible;
+    screen.setAttribute('aria-hidden', String(!visible));
+}
+
+// The button Enter (or a controller's A) stands for on each screen
+function primaryButton(screen) {
+    const buttons = {
+        'start-screen': continueBtn && !continueBtn.hidden ? continueBtn : startBtn,
+        'game-over-screen': restartBtn,
+        'win-screen': winRestartBtn,
+        'results-screen': resultsRestartBtn,
+        'settings-screen': document.getElementById('settings-done-btn')
+    };
+    return screen ? buttons[screen.id] || null : null;
+}
+
+// Escape: close the settings panel, or go from an end-of-run screen back to the start
+function screenBack() {
+    if (activeScreen === settingsScreen) closeSettings();
+    else if (activeScreen && activeScreen !== startScreen) showScreen(startScreen);
+}
+
+// Keep Tab and Shift+Tab cycling through the active screen's controls
+function trapFocus(e) {
+    const focusable = [...activeScreen.querySelectorAll('button, input, select, textarea, summary, a[href], [tabindex]')]
+        .filter(el => !el.disabled && !el.hidden && el.tabIndex >= 0 && !el.closest('.hidden'));
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = activeScreen.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Enter, Escape and Tab while a screen is up. Enter on a focused control keeps its
+// own meaning (a button clicks, a form submits); anywhere else it presses the main button.
+function handleScreenKey(e) {
+    if (e.key === 'Tab') {
+        trapFocus(e);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        screenBack();
+    } else if (e.key === 'Enter') {
+        const target = e.target;
+        if (target && target.closest && target.closest('button, input, select, textarea, summary, a[href]')) return;
+        e.preventDefault();
+        pressScreenButton();
+    }
+}
 
 // Disable or enable body scrolling (used to stop the page from moving on mobile swipes)
 function setBodyScrollEnabled(enabled) {
@@ -191,49 +482,94 @@ window.addEventListener('resize', () => {
 // Call once to initialize canvas size
 resizeCanvas();
 
+// Steering actions from settings.js and the carton and direction each one moves
+const KEY_MOVES = {
+    p1Up: { player: 0, direction: { x: 0, y: -1 } },
+    p1Down: { player: 0, direction: { x: 0, y: 1 } },
+    p1Left: { player: 0, direction: { x: -1, y: 0 } },
+    p1Right: { player: 0, direction: { x: 1, y: 0 } },
+    p2Up: { player: 1, direction: { x: 0, y: -1 } },
+    p2Down: { player: 1, direction: { x: 0, y: 1 } },
+    p2Left: { player: 1, direction: { x: -1, y: 0 } },
+    p2Right: { player: 1, direction: { x: 1, y: 0 } }
+};
+
 function handleInput(e) {
+    // The settings panel takes over the keyboard while it is open
+    if (capturingAction) {
+        captureBinding(e);
+        return;
+    }
+    if (activeScreen) {
+        handleScreenKey(e);
+        return;
+    }
     if (!isGameRunning) return;
 
-    // Spacebar should toggle pause/resume when the game is running
-    if (e.code === 'Space' || e.key === ' ' || e.key === 'Spacebar') {
+    // Escape always pauses (or leaves a replay), whatever the pause key is bound to
+    if (e.key === 'Escape') {
         e.preventDefault();
-        togglePause();
+        if (replayPlayer) exitReplay();
+        else togglePause();
         return;
     }
 
-    switch (e.key) {
-        case 'ArrowUp':
-        case 'w':
-        case 'W':
-            if (direction.y === 0) nextDirection = { x: 0, y: -1 };
-            break;
-        case 'ArrowDown':
-        case 's':
-        case 'S':
-            if (direction.y === 0) nextDirection = { x: 0, y: 1 };
-            break;
-        case 'ArrowLeft':
-        case 'a':
-        case 'A':
-            if (direction.x === 0) nextDirection = { x: -1, y: 0 };
-            break;
-        case 'ArrowRight':
-        case 'd':
-        case 'D':
-            if (direction.x === 0) nextDirection = { x: 1, y: 0 };
-            break;
+    const action = actionForKey(settings.keys, normalizeKey(e.key));
+    if (action === 'pause') {
+        e.preventDefault();
+        togglePause();
+    } else if (action === 'hint') {
+        toggleHint();
+    } else if (KEY_MOVES[action]) {
+        // With two human players the keyboard is split; alone, either set drives player one
+        const move = KEY_MOVES[action];
+        queueDirection(move.direction, hasSplitControls() ? move.player : 0);
+    }
+}
+
+// True when two people share the keyboard and the touch screen
+function hasSplitControls() {
+    return !!game && game.players.length > 1 && !botSetup[1];
+}
+
+// Turn-based mode (an accessibility setting): the clock stops and the board moves
+// one tick each time a carton is steered. Replays still play in real time.
+function isTurnBased() {
+    return settings.turnBased && isGameRunning && !isPaused && !replayPlayer;
+}
+
+function takeTurn() {
+    accumulator = 0; // frame() slides the carton into its new tile from here
+    advance();
+}
+
+// The player's setting, or the system's prefers-reduced-motion
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+function prefersReducedMotion() {
+    return settings.reduceMotion || !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+// Queue a turn for a carton (game.js validates it again in step()). Each turn is
+// checked against the one queued before it, so a U-turn is refused even mid-queue.
+function queueDirection(dir, player = 0) {
+    if (!game || replayPlayer || !game.players[player] || bots[player]) return;
+    const queue = inputQueues[player] || (inputQueues[player] = []);
+    const previous = queue.length ? queue[queue.length - 1] : game.players[player].direction;
+    if (queue.length >= INPUT_QUEUE_SIZE || !canTurn(previous, dir)) {
+        // Turn-based: pressing the way it already drives moves it on a tile
+        if (isTurnBased() && dir.x === previous.x && dir.y === previous.y) takeTurn();
+        return;
     }
+    queue.push(dir);
+    if (isTurnBased()) takeTurn();
 }
 
 // Swipe handling: translate swipe gestures on the canvas into directional input
 function initSwipeControls() {
     let swipeStart = null;
-    const threshold = 30; // minimum px to consider a swipe
 
-    // Double-tap detection
+    // Double-tap detection (distances and timing come from the player's settings)
     let lastTap = { t: 0, x: 0, y: 0 };
-    const doubleTapTimeout = 300; // ms
-    const doubleTapDist = 40; // px
 
     function onPointerDown(e) {
         // Only respond when game is running
@@ -244,7 +580,7 @@ function initSwipeControls() {
         const y = e.clientY;
 
         // Detect double-tap: two taps within timeout and small distance
-        if (now - lastTap.t < doubleTapTimeout && Math.hypot(x - lastTap.x, y - lastTap.y) < doubleTapDist) {
+        if (now - lastTap.t < settings.doubleTapTimeout && Math.hypot(x - lastTap.x, y - lastTap.y) < settings.doubleTapDist) {
             // clear lastTap so triple-tap doesn't retrigger
             lastTap.t = 0;
             try { canvas.setPointerCapture(e.pointerId); } catch (_) {}
@@ -257,9 +593,16 @@ function initSwipeControls() {
         // Not a double-tap: record this tap and start swipe
         lastTap = { t: now, x, y };
 
+        // With two human players each swipes on their own half of the canvas
+        let player = 0;
+        if (hasSplitControls()) {
+            const rect = canvas.getBoundingClientRect();
+            player = x < rect.left + rect.width / 2 ? 0 : 1;
+        }
+
         // Capture pointer to receive the up event even if finger moves off-canvas
         try { canvas.setPointerCapture(e.pointerId); } catch (_) {}
-        swipeStart = { x: x, y: y, t: now };
+        swipeStart = { x: x, y: y, t: now, player };
         e.preventDefault();
     }
 
@@ -279,7 +622,7 @@ function initSwipeControls() {
         const dx = e.clientX - swipeStart.x;
         const dy = e.clientY - swipeStart.y;
         // Determine dominant direction
-        if (Math.abs(dx) < threshold && Math.abs(dy) < threshold) {
+        if (Math.abs(dx) < settings.swipeThreshold && Math.abs(dy) < settings.swipeThreshold) {
             swipeStart = null;
             try { canvas.releasePointerCapture(e.pointerId); } catch (_) {}
             return; // too small -> ignore (could be a tap)
@@ -289,19 +632,19 @@ function initSwipeControls() {
             // Horizontal swipe
             if (dx > 0) {
                 // Right
-                if (direction.x === 0) nextDirection = { x: 1, y: 0 };
+                queueDirection({ x: 1, y: 0 }, swipeStart.player);
             } else {
                 // Left
-                if (direction.x === 0) nextDirection = { x: -1, y: 0 };
+                queueDirection({ x: -1, y: 0 }, swipeStart.player);
             }
         } else {
             // Vertical swipe
             if (dy > 0) {
                 // Down
-                if (direction.y === 0) nextDirection = { x: 0, y: 1 };
+                queueDirection({ x: 0, y: 1 }, swipeStart.player);
             } else {
                 // Up
-                if (direction.y === 0) nextDirection = { x: 0, y: -1 };
+                queueDirection({ x: 0, y: -1 }, swipeStart.player);
             }
         }
 
@@ -320,23 +663,265 @@ function initSwipeControls() {
     canvas.addEventListener('pointercancel', onPointerCancel);
 }
 
+// Gamepad handling: the Gamepad API has no button events, so pollGamepads() runs
+// every frame and acts on inputs that were not held on the previous frame.
+// Buttons follow the browser's "standard" mapping.
+const GAMEPAD_BUTTONS = { a: 0, b: 1, start: 9, up: 12, down: 13, left: 14, right: 15 };
+const GAMEPAD_DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+let gamepadHeld = {}; // last frame's inputs per pad index: { [button]: bool, stick: direction name | null }
+
+function initGamepadControls() {
+    window.addEventListener('gamepadconnected', (e) => {
+        showNotice(`Controller connected: ${e.gamepad.id}`);
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+        delete gamepadHeld[e.gamepad.index];
+        showNotice(`Controller disconnected: ${e.gamepad.id}`);
+    });
+}
+
+// Which way the left stick points, or null while it rests inside the dead-zone
+function stickDirection(x, y) {
+    if (Math.max(Math.abs(x), Math.abs(y)) < settings.deadZone) return null;
+    if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+    return y > 0 ? 'down' : 'up';
+}
+
+function pollGamepads() {
+    if (!navigator.getGamepads) return;
+    for (const pad of navigator.getGamepads()) {
+        if (!pad || !pad.connected) continue;
+        const prev = gamepadHeld[pad.index] || {};
+        const held = { stick: stickDirection(pad.axes[0] || 0, pad.axes[1] || 0) };
+        for (const [name, index] of Object.entries(GAMEPAD_BUTTONS)) {
+            held[name] = !!(pad.buttons[index] && pad.buttons[index].pressed);
+        }
+        gamepadHeld[pad.index] = held;
+        const pressed = name => held[name] && !prev[name];
+
+        if (!isGameRunning || activeScreen) {
+            // Menus: A or Start presses the visible screen's main button, B goes back
+            if (pressed('a') || pressed('start')) pressScreenButton();
+            else if (pressed('b')) screenBack();
+            continue;
+        }
+        if (pressed('start')) togglePause();
+        // With two human players the second controller drives player two
+        const player = hasSplitControls() && pad.index === 1 ? 1 : 0;
+        for (const name of Object.keys(GAMEPAD_DIRECTIONS)) {
+            if (pressed(name) || (held.stick === name && prev.stick !== name)) {
+                queueDirection(GAMEPAD_DIRECTIONS[name], player);
+            }
+        }
+    }
+}
+
+// Start Game on the start screen, Play Again on the end screens, Done in settings
+function pressScreenButton() {
+    const button = primaryButton(activeScreen);
+    if (button) button.click();
+}
+
+// Controllers are polled from the frame loop; this only announces them
+initGamepadControls();
+
+// Victory goal picked on the start screen: a mouse quota, or 0 to play until the board is full
+function getSelectedQuota() {
+    const value = goalSelect ? parseInt(goalSelect.value, 10) : 0;
+    return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+function getSelectedMode() {
+    return modeSelect && BOARD_MODES.includes(modeSelect.value) ? modeSelect.value : 'wrap';
+}
+
+// 'none' for a solo run, 'human' for split-keyboard head-to-head, otherwise a BOT_DIFFICULTIES key
+function getSelectedOpponent() {
+    const value = opponentSelect ? opponentSelect.value : 'none';
+    return value === 'human' || BOT_DIFFICULTIES[value] ? value : 'none';
+}
+
+function getSelectedMap() {
+    const value = mapSelect ? mapSelect.value : '';
+    if (value.startsWith('custom:')) {
+        const map = customMaps[parseInt(value.slice(7), 10)];
+        if (map) return map;
+    }
+    return getBuiltinMap(value.slice(8));
+}
+
+// Load a map file from disk, check it and make it the selected map
+function importMap(file) {
+    file.text()
+        .then(text => {
+            const map = parseMap(text, file.name.replace(/\.[^.]+$/, ''));
+            createGameState({ map, players: 2 }); // throws if the map blocks a starting position
+            customMaps.push(map);
+            const option = document.createElement('option');
+            option.value = `custom:${customMaps.length - 1}`;
+            option.textContent = map.name;
+            mapSelect.appendChild(option);
+            mapSelect.value = option.value;
+            showNotice(`Loaded map: ${map.name}`);
+        })
+        .catch(err => showNotice(`Could not load map: ${err.message}`));
+}
+
+// Resolve the map ids in LEVELS into obstacle lists for game.js
+function resolveLevels() {
+    return LEVELS.map(level => ({
+        speed: level.speed,
+        mouseStepEvery: level.mouseStepEvery || 0,
+        map: level.map ? getBuiltinMap(level.map) : null
+    }));
+}
+
+// Names for the cartons on the results screen, and their short labels in the controls bar
+function playerName(index) {
+    return botSetup[index] ? 'Computer' : `Player ${index + 1}`;
+}
+
+function playerLabel(index) {
+    return botSetup[index] ? 'CPU' : `P${index + 1}`;
+}
+
+function formatScore() {
+    if (!game) return 'Score: 0';
+    if (game.players.length > 1) {
+        const scores = game.players.map(p => `${playerLabel(p.id)}: ${p.score}`).join(' · ');
+        return game.mouseQuota ? `${scores} · First to ${game.mouseQuota} mice` : scores;
+    }
+    const player = game.players[0];
+    return game.mouseQuota ? `Score: ${player.score} · Mice ${player.caught}/${game.mouseQuota}` : `Score: ${player.score}`;
+}
+
 function startGame() {
+    const seed = randomSeed();
+    const opponent = getSelectedOpponent();
+    const options = {
+        mouseQuota: getSelectedQuota(),
+        mode: getSelectedMode(),
+        map: getSelectedMap(),
+        levels: resolveLevels(),
+        micePerLevel: MICE_PER_LEVEL,
+        players: opponent === 'none' ? 1 : 2,
+        bots: opponent === 'none' || opponent === 'human' ? {} : { 1: opponent } // main.js only; game.js ignores it
+    };
+    const opening = openingState(options, seed);
+    discardSavedRun();
+    recorder = createRecorder(seed, options);
+    replayPlayer = null;
+    beginRun(options, opening.rngState, opening.state);
+}
+
+// The starting board for `options` dealt from `seed`, and where the RNG is after
+// dealing it. Throws (see createGameState) when the options can't make a board,
+// e.g. a map that blocks the starting position.
+function openingState(options, seed) {
+    const dealer = createRng(seed);
+    const state = createGameState(options, dealer);
+    return { state, rngState: dealer.getState() };
+}
+
+// Pick the saved run up again exactly where it was left, paused
+function continueRun() {
+    const saved = savedRun;
+    if (!saved) return;
+    discardSavedRun(); // it is saved again if the page goes away mid-run
+    let replay = null;
+    try {
+        replay = saved.replay ? parseReplay(saved.replay) : null;
+    } catch (_) {} // the run still continues, just without a replay
+    recorder = replay ? resumeRecorder(replay) : null;
+    replayPlayer = null;
+    beginRun(saved.options, saved.rngState, saved.state);
+    runTimeMs = saved.runTimeMs;
+    pauseGame();
+    showNotice('Run restored. Resume when you are ready.');
+}
+
+// Play a recorded run back tick-for-tick
+function startReplay(replay) {
+    // Deal the board first: a replay that can't make one (see openingState) changes nothing
+    const opening = openingState(replay.options, replay.seed);
+    recorder = null;
+    lastReplay = replay;
+    replayPlayer = createReplayPlayer(replay);
+    replaySpeed = 1;
+    beginRun(replay.options, opening.rngState, opening.state);
+}
+
+// Attract mode: while the start screen is up and no run is going, an autopilot
+// plays a demo behind it. Nothing is scored, recorded or heard; a crash just deals again.
+function startAttractMode() {
+    rng = createRng(randomSeed());
+    game = createGameState({ levels: resolveLevels(), micePerLevel: MICE_PER_LEVEL }, rng);
+    prevGame = game;
+    accumulator = 0;
+    attractBot = createBot('pathfinder', { player: 0, difficulty: 'hard' });
+}
+
+function advanceAttract() {
+    prevGame = game;
+    const direction = attractBot.chooseDirection(game);
+    game = step(game, direction ? { direction } : null, rng).state;
+    if (game.status !== 'running') startAttractMode();
+}
+
+// Hint arrow: the autopilot's suggestion for player one, drawn ahead of the carton
+function toggleHint() {
+    hintOn = !hintOn;
+    hint = null;
+    if (hintBtn) {
+        hintBtn.classList.toggle('active', hintOn);
+        hintBtn.setAttribute('aria-pressed', String(hintOn));
+    }
+}
+
+// The suggested direction for the current tick (asked once per tick, not per frame)
+function currentHint() {
+    if (!hintBot || !game || game.status !== 'running') return null;
+    if (!hint || hint.tick !== game.tick) {
+        const me = game.players[0];
+        hint = { tick: game.tick, direction: hintBot.chooseDirection(game) || me.direction };
+    }
+    return hint.direction;
+}
+
+// Shared setup for live runs and replays. `state` is the board to start from (see
+// openingState, or a saved run) and rngState the rng.getState() that goes with it.
+function beginRun(options, rngState, state) {
+    attractBot = null;
     initAudio(); // Initialize audio context on user gesture
     if (audioCtx && audioCtx.state === 'suspended') {
         audioCtx.resume();
     }
-    startEngine();
 
     // Reset State
-    snake = [
-        { x: 10, y: 10 }, // Head
-        { x: 9, y: 10 },
-        { x: 8, y: 10 }
-    ];
-    direction = { x: 1, y: 0 };
-    nextDirection = { x: 1, y: 0 };
-    score = 0;
-    scoreElement.textContent = `Score: ${score}`;
+    rng = createRng(rngState);
+    game = state;
+    runOptions = options;
+    botSetup = options.bots || {};
+    bots = replayPlayer ? [] : game.players.map(p => botSetup[p.id]
+        ? createBot('pathfinder', { player: p.id, difficulty: botSetup[p.id] })
+        : null);
+    hintBot = replayPlayer ? null : createBot('pathfinder', { player: 0, difficulty: 'hard' });
+    hint = null;
+    prevGame = game;
+    accumulator = 0;
+    runTimeMs = 0;
+    runModeLabel = `${game.mode === 'walls' ? 'Walls' : 'Wrap'} · ${game.mapName}`;
+    hideNameEntry();
+    updateBestIndicator();
+    inputQueues = [];
+    levelBanner = null;
+    scoreElement.textContent = formatScore();
+    if (levelElement) levelElement.textContent = `Level ${game.level}`;
     isGameRunning = true;
     isPaused = false;
 
@@ -347,73 +932,143 @@ function startGame() {
         pauseBtn.textContent = 'Pause';
         pauseBtn.setAttribute('aria-pressed', 'false');
     }
+    updateReplayControls();
+    startEngine();
 
-    // UI
-    startScreen.classList.add('hidden');
-    startScreen.classList.remove('active');
-    gameOverScreen.classList.add('hidden');
-    gameOverScreen.classList.remove('active');
-    // Re-enable canvas interaction now the overlay is hidden
-    setCanvasInteractive(true);
-    spawnFood();
-
-    if (gameLoopId) clearInterval(gameLoopId);
-    gameLoopId = setInterval(gameLoop, GAME_SPEED);
+    // UI: clear the overlay (which re-enables canvas interaction)
+    hideScreens();
 
-    // Start background music on user gesture (if available and not muted)
-    try {
-        if (bgMusic && !isMuted) {
-            // some browsers require play() to be called on a user gesture
-            const p = bgMusic.play();
-            if (p && p.catch) p.catch(() => {});
-        }
-    } catch (_) {}
+    // Start background music on user gesture (if not muted)
+    playMusic();
     // Disable body scrolling while the game runs
     try { setBodyScrollEnabled(false); } catch (_) {}
 }
 
+// Tick length for the current level; replays can run faster than real time
+function tickInterval() {
+    const speed = tickLength(game);
+    return replayPlayer ? speed / replaySpeed : speed;
+}
+
+
+// Advance the simulation one tick and react to what happened
 function update() {
-    direction = nextDirection;
-
-    // Compute next head position and wrap around borders (toroidal world)
-    let nextX = snake[0].x + direction.x;
-    let nextY = snake[0].y + direction.y;
-    // Wrap horizontally and vertically
-    nextX = (nextX + TILE_COUNT) % TILE_COUNT;
-    nextY = (nextY + TILE_COUNT) % TILE_COUNT;
-    const head = { x: nextX, y: nextY };
-
-    // Self Collision
-    for (let segment of snake) {
-        if (head.x === segment.x && head.y === segment.y) {
-            gameOver();
-            return;
+    let input;
+    if (replayPlayer) {
+        input = replayPlayer.inputFor(game.tick);
+    } else {
+        const directions = game.players.map((_, i) => {
+            if (bots[i]) return bots[i].chooseDirection(game);
+            return (inputQueues[i] && inputQueues[i].shift()) || null;
+        });
+        input = directions.some(Boolean) ? { directions } : null;
+        if (recorder && input) recorder.record(game.tick, directions);
+    }
+    const before = game;
+    const result = step(game, input, rng);
+    const said = []; // read out together once the tick's events are handled
+    game = result.state;
+    game.players.forEach((player, i) => {
+        const was = before.players[i].direction;
+        if (player.alive && (was.x !== player.direction.x || was.y !== player.direction.y)) playTurnChirp(i);
+    });
+    if (replayPlayer) {
+        // A replay whose run never ended on its own (e.g. a hand-edited file) holds at its last tick
+        const total = replayPlayer.replay.ticks;
+        if (total && game.tick >= total && game.status === 'running') pauseGame();
+        updateReplayControls();
+    }
+
+    for (const event of result.events) {
+        switch (event.type) {
+            case 'ate':
+                scoreElement.textContent = formatScore();
+                said.push(`${describeCatch(event)} ${formatScore()}.`);
+                if (event.player === 0) said.push(describeNearestMouse());
+                updateBestIndicator();
+                playMeow(MEOW_PITCH[event.mouseType] || 1); // Play sound
+                updateEnginePitch(); // a longer tail works the engine harder
+                break;
+            case 'levelup':
+                if (levelElement) levelElement.textContent = `Level ${event.level}`;
+                if (!prefersReducedMotion()) levelBanner = { text: `Level ${event.level}`, shownAt: performance.now() };
+                said.push(`Level ${event.level}.`);
+                updateEnginePitch();
+                break;
+            case 'powerup':
+                said.push(`${game.players.length > 1 ? `${playerName(event.player)}: ` : ''}${POWERUP_LABELS[event.powerType] || event.powerType} power-up.`);
+                updateEnginePitch();
+                break;
+            case 'effectEnded':
+                updateEnginePitch(); // slow-motion changes the speed, scissors the tail
+                break;
+            case 'died':
+                playCrash();
+                // Head-to-head rounds end with a 'result' event instead
+                if (game.players.length === 1) gameOver();
+                break;
+            case 'won':
+                win();
+                break;
+            case 'result':
+                showResults(event);
+                break;
         }
     }
+    // Turn-based players get their bearings after every move
+    if (!said.length && isTurnBased()) said.push(describeNearestMouse());
+    if (said.length) announce(said.join(' '));
+    updateEffectsDisplay();
+}
 
-    snake.unshift(head);
+// "Caught a golden mouse." / "Computer caught a mouse." for the live region
+function describeCatch(event) {
+    const mouse = event.mouseType === 'normal' ? 'a mouse' : `a ${event.mouseType} mouse`;
+    return game.players.length > 1 ? `${playerName(event.player)} caught ${mouse}.` : `Caught ${mouse}.`;
+}
 
-    // Food Collision
-    if (head.x === food.x && head.y === food.y) {
-        score++;
-        scoreElement.textContent = `Score: ${score}`;
-        playMeow(); // Play sound
-        spawnFood();
-    } else {
-        snake.pop();
+// Where the nearest mouse worth catching is from player one's head, e.g.
+// "Nearest mouse: 3 right, 2 up." (the short way round on a wrapping board)
+function describeNearestMouse() {
+    const player = game.players[0];
+    if (!player.alive) return '';
+    const head = player.snake[0];
+    const size = game.tileCount;
+    const offset = (from, to) => {
+        const d = to - from;
+        return game.mode !== 'walls' && Math.abs(d) > size / 2 ? d - Math.sign(d) * size : d;
+    };
+    let nearest = null;
+    for (const mouse of game.mice) {
+        if (MOUSE_TYPES[mouse.type].points <= 0) continue;
+        const dx = offset(head.x, mouse.x);
+        const dy = offset(head.y, mouse.y);
+        if (!nearest || Math.abs(dx) + Math.abs(dy) < Math.abs(nearest.dx) + Math.abs(nearest.dy)) {
+            nearest = { type: mouse.type, dx, dy };
+        }
     }
+    if (!nearest) return 'No mice to catch.';
+    const steps = [];
+    if (nearest.dx) steps.push(`${Math.abs(nearest.dx)} ${nearest.dx > 0 ? 'right' : 'left'}`);
+    if (nearest.dy) steps.push(`${Math.abs(nearest.dy)} ${nearest.dy > 0 ? 'down' : 'up'}`);
+    const name = nearest.type === 'normal' ? 'mouse' : `${nearest.type} mouse`;
+    return `Nearest ${name}: ${steps.join(', ')}.`;
 }
 
-function spawnFood() {
-    food = {
-        x: Math.floor(Math.random() * TILE_COUNT),
-        y: Math.floor(Math.random() * TILE_COUNT)
-    };
-    // Avoid spawning on the snake
-    for (let segment of snake) {
-        if (segment.x === food.x && segment.y === food.y) {
-            spawnFood();
-            return;
+// Countdown chips in the controls bar for each active timed power-up
+function updateEffectsDisplay() {
+    if (!effectsElement) return;
+    effectsElement.textContent = '';
+    if (!game || game.status !== 'running') return;
+    for (const player of game.players) {
+        for (const type of Object.keys(player.effects)) {
+            if (!hasEffect(game, player, type)) continue;
+            const seconds = (player.effects[type] - game.tick) * tickLength(game) / 1000;
+            const owner = game.players.length > 1 ? `${playerLabel(player.id)} ` : '';
+            const chip = document.createElement('span');
+            chip.className = `effect-chip effect-${type}`;
+            chip.textContent = `${owner}${POWERUP_LABELS[type] || type} ${seconds.toFixed(1)}s`;
+            effectsElement.appendChild(chip);
         }
     }
 }
@@ -422,11 +1077,303 @@ function spawnFood() {
 let audioCtx;
 let engineOscillator;
 let engineGain;
+let engineFilter;
+
+// Mixer: every sound ends up in the master bus, which the mute button silences.
+//   music track -> track gain -> musicGain -> duckGain -> masterGain -> speakers
+//   engine, meows, stings --------------------> sfxGain --^
+// Each music track has its own gain so two can crossfade (see startTrack). duckGain
+// dips the music under meows and the victory sting; the other gains follow the
+// volume sliders in the settings panel.
+let masterGain;
+let musicGain;
+let duckGain;
+let sfxGain;
+const DUCK_LEVEL = 0.35; // music level while a sound effect is ducking it
 
 function initAudio() {
     if (!audioCtx) {
         audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        masterGain = audioCtx.createGain();
+        masterGain.connect(audioCtx.destination);
+        sfxGain = audioCtx.createGain();
+        sfxGain.connect(masterGain);
+        duckGain = audioCtx.createGain();
+        duckGain.connect(masterGain);
+        musicGain = audioCtx.createGain();
+        musicGain.connect(duckGain);
+
+        mediaDecks.forEach(routeDeck);
+        applyMixer();
+    }
+}
+
+// Set every bus from the volume settings and the mute state
+function applyMixer() {
+    const master = settings.muted ? 0 : settings.masterVolume;
+    if (masterGain) {
+        masterGain.gain.value = master;
+        musicGain.gain.value = settings.musicVolume;
+        sfxGain.gain.value = settings.sfxVolume;
+    }
+    for (const deck of mediaDecks) {
+        try {
+            deck.element.volume = deck.gain ? 1 : master * settings.musicVolume;
+            deck.element.muted = !deck.gain && settings.muted;
+        } catch (_) {}
     }
+    if (muteBtn) {
+        muteBtn.classList.toggle('active', settings.muted);
+        muteBtn.textContent = settings.muted ? '🔇' : '🔈';
+        muteBtn.setAttribute('aria-pressed', String(settings.muted));
+    }
+}
+
+// Dip the music for `seconds` so a sound effect stands out, then bring it back
+function duckMusic(seconds) {
+    if (!duckGain) return;
+    const now = audioCtx.currentTime;
+    duckGain.gain.cancelScheduledValues(now);
+    duckGain.gain.setTargetAtTime(DUCK_LEVEL, now, 0.03);
+    duckGain.gain.setTargetAtTime(1, now + seconds, 0.2);
+}
+
+// Background music (see music.js): the tracks in MUSIC_MANIFEST play one at a time,
+// each crossfading into the next as it runs out. MIDI tracks play on the synthesizer;
+// anything else (the MP3) plays in an <audio> element, two of which take turns so a
+// track can fade into the next one, itself included.
+const MUSIC_MANIFEST = 'assets/music.json';
+const CROSSFADE_SECONDS = 2;
+const TEMPO_RANGE = [0.75, 1.5]; // how far following the game speed may stretch the music
+let playlist = createPlaylist([{ id: 'chopin', name: 'Chopin', src: 'assets/chopin.mp3' }]); // until the manifest loads
+let nowPlaying = null; // { track, gain, deck | midi } for the current track
+let fadingTrack = null; // the previous track while it fades out
+let musicWanted = false; // a run is going, so music should be playing (unless muted)
+let musicFailures = 0; // tracks in a row that couldn't play; stops a broken playlist spinning
+const midiSongs = new Map(); // src -> promise of the parsed song
+
+// <audio> elements for media tracks: { element, gain, owner }. gain stays null
+// where the element can't go through Web Audio (see routeDeck), and then the
+// track cuts over instead of crossfading.
+const mediaDecks = [];
+if (bgMusic) addDeck(bgMusic);
+
+function addDeck(element) {
+    const deck = { element, gain: null, owner: null };
+    element.addEventListener('ended', () => {
+        if (deck.owner && deck.owner === nowPlaying) nextTrack(0);
+    });
+    element.addEventListener('playing', () => { musicFailures = 0; });
+    element.addEventListener('error', () => {
+        if (deck.owner && deck.owner === nowPlaying) trackFailed(deck.owner, element.error);
+    });
+    mediaDecks.push(deck);
+    routeDeck(deck);
+    return deck;
+}
+
+// Pages opened from disk can't route media through Web Audio (the browser
+// outputs silence for file:// sources), so there the element keeps its own volume
+function routeDeck(deck) {
+    if (!audioCtx || deck.gain || location.protocol === 'file:') return;
+    try {
+        const gain = audioCtx.createGain();
+        audioCtx.createMediaElementSource(deck.element).connect(gain);
+        gain.connect(musicGain);
+        deck.gain = gain;
+    } catch (_) {}
+}
+
+// An element that isn't playing the current track or the one fading out
+function freeDeck() {
+    const deck = mediaDecks.find(d => !d.owner || (d.owner !== nowPlaying && d.owner !== fadingTrack)) ||
+        addDeck(new Audio());
+    if (deck.owner) stopTrack(deck.owner);
+    return deck;
+}
+
+// Fetch the playlist; without it (e.g. a page opened from disk) only the MP3 plays
+function loadPlaylist() {
+    fetch(MUSIC_MANIFEST)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(manifest => {
+            const valid = (manifest && Array.isArray(manifest.tracks) ? manifest.tracks : [])
+                .filter(t => t && typeof t.id === 'string' && typeof t.name === 'string' && typeof t.src === 'string');
+            if (!valid.length) return;
+            playlist = createPlaylist(valid, { shuffle: settings.shuffleMusic });
+        })
+        .catch(err => console.warn('Music playlist not loaded', err));
+}
+
+function loadMidiSong(src) {
+    if (!midiSongs.has(src)) {
+        midiSongs.set(src, fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then(parseMidi));
+    }
+    return midiSongs.get(src);
+}
+
+function musicOn() {
+    return musicWanted && !settings.muted;
+}
+
+// Playback speed with "music follows the game speed" on: 1 at the starting speed,
+// faster as the levels speed up and slower in slow-motion, within TEMPO_RANGE
+function musicRate() {
+    if (!settings.musicTempo || !game) return 1;
+    const rate = game.levels[0].speed / tickLength(game);
+    return Math.round(Math.min(TEMPO_RANGE[1], Math.max(TEMPO_RANGE[0], rate)) * 20) / 20;
+}
+
+// Start `track` from the top, fading it in over `fade` seconds (0 cuts straight in)
+function startTrack(track, fade) {
+    const entry = { track, gain: null, deck: null, midi: null };
+    nowPlaying = entry;
+    if (trackKind(track.src) === 'midi') {
+        if (!audioCtx) return;
+        entry.gain = audioCtx.createGain();
+        entry.gain.connect(musicGain);
+        fadeTrack(entry, 0, 0);
+        loadMidiSong(track.src)
+            .then(song => {
+                if (nowPlaying !== entry) return;
+                entry.midi = createMidiPlayer(audioCtx, song, entry.gain);
+                entry.midi.setRate(musicRate());
+                fadeTrack(entry, 1, fade);
+                if (musicOn()) entry.midi.play();
+                musicFailures = 0;
+            })
+            .catch(err => trackFailed(entry, err));
+    } else {
+        const deck = freeDeck();
+        deck.owner = entry;
+        entry.deck = deck;
+        entry.gain = deck.gain;
+        deck.element.src = track.src;
+        deck.element.playbackRate = musicRate();
+        fadeTrack(entry, 0, 0);
+        fadeTrack(entry, 1, fade);
+        if (musicOn()) playElement(deck.element);
+    }
+}
+
+function playElement(element) {
+    try {
+        // some browsers require play() to be called on a user gesture
+        const p = element.play();
+        if (p && p.catch) p.catch(() => {});
+    } catch (_) {}
+}
+
+// Glide a track's gain to `level` over `seconds`
+function fadeTrack(entry, level, seconds) {
+    if (!entry.gain) return;
+    const now = audioCtx.currentTime;
+    entry.gain.gain.cancelScheduledValues(now);
+    entry.gain.gain.setValueAtTime(seconds > 0 ? entry.gain.gain.value : level, now);
+    if (seconds > 0) entry.gain.gain.linearRampToValueAtTime(level, now + seconds);
+}
+
+function stopTrack(entry) {
+    if (entry.midi) entry.midi.stop();
+    if (entry.deck) {
+        try { entry.deck.element.pause(); } catch (_) {}
+        if (entry.deck.owner === entry) entry.deck.owner = null;
+    } else if (entry.gain) {
+        entry.gain.disconnect();
+    }
+    if (fadingTrack === entry) fadingTrack = null;
+}
+
+// Move on to the next track in the playlist, crossfading over `fade` seconds while
+// the music is playing. Returns the new track.
+function nextTrack(fade = CROSSFADE_SECONDS) {
+    const previous = nowPlaying;
+    const track = playlist.next();
+    if (!track) return null;
+    if (fadingTrack) stopTrack(fadingTrack);
+    const crossfade = previous && previous.gain && musicOn() ? fade : 0;
+    if (previous && crossfade > 0) {
+        fadeTrack(previous, 0, crossfade);
+        fadingTrack = previous;
+        setTimeout(() => { if (fadingTrack === previous) stopTrack(previous); }, crossfade * 1000);
+    } else if (previous) {
+        stopTrack(previous);
+    }
+    startTrack(track, crossfade);
+    return track;
+}
+
+// A track that won't load or play is skipped, unless none of them will
+function trackFailed(entry, err) {
+    console.warn(`Could not play ${entry.track.src}`, err);
+    if (nowPlaying !== entry) return;
+    musicFailures++;
+    if (musicFailures < playlist.tracks.length) nextTrack(0);
+}
+
+// Start or carry on the music; nothing plays while muted (toggleMute calls this
+// again when the sound comes back on)
+function playMusic() {
+    musicWanted = true;
+    if (!musicOn()) return;
+    if (!nowPlaying) {
+        const track = playlist.current();
+        if (track) startTrack(track, 0);
+    } else if (nowPlaying.midi) {
+        nowPlaying.midi.play();
+    } else if (nowPlaying.deck) {
+        playElement(nowPlaying.deck.element);
+    }
+}
+
+// Stop the music but keep its place for playMusic()
+function pauseMusic() {
+    musicWanted = false;
+    if (fadingTrack) stopTrack(fadingTrack);
+    if (!nowPlaying) return;
+    if (nowPlaying.midi) nowPlaying.midi.pause();
+    if (nowPlaying.deck) {
+        try { nowPlaying.deck.element.pause(); } catch (_) {}
+    }
+}
+
+// Seconds until the track ends at its current speed (NaN while that isn't known)
+function trackRemaining(entry) {
+    if (entry.midi) return entry.midi.remaining();
+    if (entry.deck) return (entry.deck.element.duration - entry.deck.element.currentTime) / entry.deck.element.playbackRate;
+    return NaN;
+}
+
+function trackLength(entry) {
+    if (entry.midi) return entry.midi.song.duration;
+    if (entry.deck) return entry.deck.element.duration;
+    return NaN;
+}
+
+// Called every frame: keeps the synthesizer fed, follows the game speed and starts
+// the crossfade into the next track as this one runs out
+function updateMusic() {
+    if (!nowPlaying || !musicWanted) return;
+    const rate = musicRate();
+    if (fadingTrack && fadingTrack.midi) fadingTrack.midi.update();
+    if (nowPlaying.midi) {
+        nowPlaying.midi.setRate(rate);
+        nowPlaying.midi.update();
+    } else if (nowPlaying.deck && nowPlaying.deck.element.playbackRate !== rate) {
+        nowPlaying.deck.element.playbackRate = rate;
+    }
+    // Very short tracks get a shorter crossfade so they still play mostly alone
+    const fade = Math.min(CROSSFADE_SECONDS, trackLength(nowPlaying) / 4);
+    if (nowPlaying.gain && trackRemaining(nowPlaying) <= fade) nextTrack(fade);
+    else if (nowPlaying.midi && nowPlaying.midi.ended) nextTrack(0);
 }
 
 function startEngine() {
@@ -440,22 +1387,24 @@ function startEngine() {
     engineOscillator = audioCtx.createOscillator();
     engineGain = audioCtx.createGain();
     const filter = audioCtx.createBiquadFilter();
+    engineFilter = filter;
 
     // Engine rumble setup
+    const pitch = enginePitch();
     engineOscillator.type = 'sawtooth';
-    engineOscillator.frequency.value = 60; // Low rumble
+    engineOscillator.frequency.value = pitch; // Low rumble
 
     // Lowpass filter to muffle the sound
     filter.type = 'lowpass';
-    filter.frequency.value = 120;
+    filter.frequency.value = pitch * 2;
 
     // Connect: Osc -> Filter -> Gain -> Dest
     engineOscillator.connect(filter);
     filter.connect(engineGain);
-    engineGain.connect(audioCtx.destination);
+    engineGain.connect(sfxGain);
 
     // Low volume
-    engineGain.gain.value = 0.05;
+    engineGain.gain.value = engineVolume();
 
     engineOscillator.start();
 }
@@ -470,10 +1419,134 @@ function stopEngine() {
         engineOscillator.stop(now + 0.2);
         engineOscillator = null;
         engineGain = null;
+        engineFilter = null;
     }
 }
 
-function playMeow() {
+// The engine labours as the tail grows: up to 40% higher and louder with a long train
+const ENGINE_TAIL_RANGE = 60; // tail length at which the effect tops out
+const ENGINE_IDLE = 0.55; // pitch multiplier while paused
+const ENGINE_REV = 1.3; // pitch overshoot when driving off again
+
+// 0..1 for how loaded the engine is by the longest carton's tail
+function engineLoad() {
+    if (!game) return 0;
+    const longest = Math.max(...game.players.map(p => p.snake.length));
+    return Math.min(1, Math.max(0, longest - 3) / ENGINE_TAIL_RANGE);
+}
+
+// Engine pitch follows the tick rate: 60 Hz at the starting speed, higher as levels
+// speed up (and lower during slow-motion), raised further by the tail's length
+function enginePitch() {
+    if (!game) return 60;
+    return 60 * (game.levels[0].speed / tickLength(game)) * (1 + 0.4 * engineLoad());
+}
+
+function engineVolume() {
+    return 0.05 * (1 + 0.4 * engineLoad());
+}
+
+// Glide the running engine to the pitch and volume for the current speed and tail
+function updateEnginePitch() {
+    if (!audioCtx || !engineOscillator || isPaused) return;
+    const now = audioCtx.currentTime;
+    const pitch = enginePitch();
+    engineOscillator.frequency.setTargetAtTime(pitch, now, 0.3);
+    if (engineFilter) engineFilter.frequency.setTargetAtTime(pitch * 2, now, 0.3);
+    engineGain.gain.setTargetAtTime(engineVolume(), now, 0.3);
+}
+
+// Paused: the engine drops to a quiet idle instead of cutting out
+function idleEngine() {
+    if (!audioCtx || !engineOscillator) return;
+    const now = audioCtx.currentTime;
+    const idle = enginePitch() * ENGINE_IDLE;
+    engineOscillator.frequency.setTargetAtTime(idle, now, 0.25);
+    if (engineFilter) engineFilter.frequency.setTargetAtTime(idle * 1.5, now, 0.25);
+    engineGain.gain.setTargetAtTime(engineVolume() * 0.4, now, 0.25);
+}
+
+// Resumed: a quick rev past the running pitch, then settle back onto it
+function revEngine() {
+    if (!audioCtx) return;
+    if (!engineOscillator) {
+        startEngine();
+        return;
+    }
+    const now = audioCtx.currentTime;
+    const pitch = enginePitch();
+    engineOscillator.frequency.cancelScheduledValues(now);
+    engineOscillator.frequency.setTargetAtTime(pitch * ENGINE_REV, now, 0.05);
+    engineOscillator.frequency.setTargetAtTime(pitch, now + 0.2, 0.15);
+    if (engineFilter) engineFilter.frequency.setTargetAtTime(pitch * 2, now, 0.1);
+    engineGain.gain.cancelScheduledValues(now);
+    engineGain.gain.setTargetAtTime(engineVolume(), now, 0.05);
+}
+
+// Crash: a burst of filtered noise over a low thud
+function playCrash() {
+    if (!audioCtx) return;
+    const now = audioCtx.currentTime;
+    const duration = 0.6;
+
+    const noise = audioCtx.createBufferSource();
+    const buffer = audioCtx.createBuffer(1, Math.floor(audioCtx.sampleRate * duration), audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noise.buffer = buffer;
+
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(3000, now);
+    filter.frequency.exponentialRampToValueAtTime(200, now + duration);
+
+    const noiseGain = audioCtx.createGain();
+    noiseGain.gain.setValueAtTime(0.35, now);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    noise.connect(filter);
+    filter.connect(noiseGain);
+    noiseGain.connect(sfxGain);
+
+    const thud = audioCtx.createOscillator();
+    const thudGain = audioCtx.createGain();
+    thud.type = 'sine';
+    thud.frequency.setValueAtTime(150, now);
+    thud.frequency.exponentialRampToValueAtTime(40, now + 0.3);
+    thudGain.gain.setValueAtTime(0.4, now);
+    thudGain.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+    thud.connect(thudGain);
+    thudGain.connect(sfxGain);
+
+    duckMusic(duration);
+    noise.start(now);
+    noise.stop(now + duration);
+    thud.start(now);
+    thud.stop(now + 0.35);
+}
+
+// Turn chirp: a short blip, pitched per carton so two players can tell theirs apart
+function playTurnChirp(player = 0) {
+    if (!audioCtx) return;
+    const now = audioCtx.currentTime;
+    const base = player === 0 ? 1400 : 1000;
+
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = 'square';
+    osc.frequency.setValueAtTime(base, now);
+    osc.frequency.exponentialRampToValueAtTime(base * 1.5, now + 0.04);
+    gain.gain.setValueAtTime(0.04, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 0.06);
+
+    osc.connect(gain);
+    gain.connect(sfxGain);
+    osc.start(now);
+    osc.stop(now + 0.06);
+}
+
+// pitch: multiplier on the base meow (see MEOW_PITCH)
+function playMeow(pitch = 1) {
     if (!audioCtx) return;
 
     const now = audioCtx.currentTime;
@@ -483,27 +1556,27 @@ function playMeow() {
     const gain1 = audioCtx.createGain();
     osc1.type = 'triangle';
     osc1.connect(gain1);
-    gain1.connect(audioCtx.destination);
+    gain1.connect(sfxGain);
 
     // Oscillator 2: Harmonic support (Sine)
     const osc2 = audioCtx.createOscillator();
     const gain2 = audioCtx.createGain();
     osc2.type = 'sine';
     osc2.connect(gain2);
-    gain2.connect(audioCtx.destination);
+    gain2.connect(sfxGain);
 
     // Pitch Envelope (Meow contour: Rise slightly then fall)
     // Start mid-high
-    osc1.frequency.setValueAtTime(800, now);
-    osc2.frequency.setValueAtTime(1600, now); // Octave up
+    osc1.frequency.setValueAtTime(800 * pitch, now);
+    osc2.frequency.setValueAtTime(1600 * pitch, now); // Octave up
 
     // Rise
-    osc1.frequency.linearRampToValueAtTime(1100, now + 0.1);
-    osc2.frequency.linearRampToValueAtTime(2200, now + 0.1);
+    osc1.frequency.linearRampToValueAtTime(1100 * pitch, now + 0.1);
+    osc2.frequency.linearRampToValueAtTime(2200 * pitch, now + 0.1);
 
     // Fall
-    osc1.frequency.exponentialRampToValueAtTime(400, now + 0.4);
-    osc2.frequency.exponentialRampToValueAtTime(800, now + 0.4);
+    osc1.frequency.exponentialRampToValueAtTime(400 * pitch, now + 0.4);
+    osc2.frequency.exponentialRampToValueAtTime(800 * pitch, now + 0.4);
 
     // Volume Envelope
     gain1.gain.setValueAtTime(0, now);
@@ -514,6 +1587,7 @@ function playMeow() {
     gain2.gain.linearRampToValueAtTime(0.1, now + 0.05);
     gain2.gain.exponentialRampToValueAtTime(0.01, now + 0.4);
 
+    duckMusic(0.4);
     osc1.start(now);
     osc1.stop(now + 0.4);
     osc2.start(now);
@@ -536,70 +1610,210 @@ function playVictory() {
     gain.gain.exponentialRampToValueAtTime(0.001, now + 0.8);
 
     osc.connect(gain);
-    gain.connect(audioCtx.destination);
+    gain.connect(sfxGain);
 
+    duckMusic(0.8);
     osc.start(now);
     osc.stop(now + 0.8);
 }
 
+// Mute silences the master bus (music, engine and effects) and is remembered
 function toggleMute() {
-    isMuted = !isMuted;
-    try {
-        if (bgMusic) {
-            bgMusic.muted = isMuted;
-            // if unmuting and game is running, resume playback on user gesture
-            if (!isMuted && isGameRunning) {
-                const p = bgMusic.play(); if (p && p.catch) p.catch(()=>{});
-            }
-        }
-    } catch (_) {}
-
-    if (muteBtn) {
-        if (isMuted) {
-            muteBtn.classList.add('active');
-            muteBtn.textContent = '🔇';
-            muteBtn.setAttribute('aria-pressed', 'true');
-        } else {
-            muteBtn.classList.remove('active');
-            muteBtn.textContent = '🔈';
-            muteBtn.setAttribute('aria-pressed', 'false');
-        }
-    }
+    settings.muted = !settings.muted;
+    saveSettings(getStorage(), settings);
+    applyMixer();
+    // if unmuting and game is running, resume playback on user gesture
+    if (!settings.muted && isGameRunning && !isPaused) playMusic();
 }
 
-function draw() {
-    // Clear Canvas
-    ctx.fillStyle = '#ecf0f1'; // Match CSS canvas bg
+// alpha: progress (0..1) from the previous tick to the current one
+function draw(alpha = 1) {
+    const drawStart = performance.now();
     // Use CSS pixel dimensions because `ctx` is transformed for devicePixelRatio
     const cssW = canvas.clientWidth || (canvas.width / (window.devicePixelRatio || 1));
     const cssH = canvas.clientHeight || (canvas.height / (window.devicePixelRatio || 1));
-    ctx.fillRect(0, 0, cssW, cssH);
+    drawBackground(cssW, cssH);
 
-    // Draw a black border around the playing field so UI outside won't overlap sprites
-    try {
-        const borderWidth = Math.max(2, Math.floor(GRID_SIZE * 0.06));
-        ctx.lineWidth = borderWidth;
-        ctx.strokeStyle = '#000000';
-        // inset by half line width for crispness
-        const inset = borderWidth / 2;
-        ctx.strokeRect(inset, inset, cssW - borderWidth, cssH - borderWidth);
-    } catch (e) {
-        // ignore drawing border if something goes wrong
-    }
+    if (!game) return;
 
-    // Draw Food (Mouse)
-    drawMouse(food.x, food.y);
+    // Draw Obstacles
+    game.obstacles.forEach(o => drawObstacle(o.x, o.y));
 
-    // Draw Snake
-    snake.forEach((segment, index) => {
-        if (index === 0) {
-            drawHead(segment.x, segment.y);
-        } else {
-            drawTailSegment(segment.x, segment.y);
+    // Draw Mice (moving ones slide between tiles like the carton does)
+    game.mice.forEach(mouse => {
+        const prev = prevGame && prevGame.mice.find(m => m.id === mouse.id);
+        const pos = interpolateTile(prev || mouse, mouse, alpha);
+        const ticksLeft = mouse.expiresAt === null ? null : mouse.expiresAt - game.tick;
+        forEachWrappedPosition(pos, (x, y) => drawMouse(x, y, mouse.type, ticksLeft));
+    });
+
+    // Draw Power-ups
+    game.powerups.forEach(p => drawPowerUp(p.x, p.y, p.type, p.expiresAt - game.tick));
+
+    // Draw Snakes: each segment slides from where it was on the previous tick
+    // (segment i always moves from prev[i] to cur[i]; a newly grown segment stays put)
+    game.players.forEach((player, i) => {
+        const prevSnake = prevGame ? prevGame.players[i].snake : player.snake;
+        const activeEffects = Object.keys(player.effects).filter(type => hasEffect(game, player, type));
+        const colors = CARTON_COLORS[i];
+        for (let index = player.snake.length - 1; index >= 0; index--) {
+            const segment = player.snake[index];
+            const pos = interpolateTile(prevSnake[index] || segment, segment, alpha);
+            // The head faces where it drives; each tail segment faces the one ahead of it
+            // and links back to the one behind (null for the last)
+            const facing = index === 0
+                ? FACING[`${player.direction.x},${player.direction.y}`]
+                : facingBetween(segment, player.snake[index - 1]);
+            const behind = player.snake[index + 1] ? facingBetween(segment, player.snake[index + 1]) : null;
+            forEachWrappedPosition(pos, (x, y) => {
+                if (index === 0) {
+                    drawHead(x, y, activeEffects, colors, facing);
+                } else {
+                    drawTailSegment(x, y, colors, facing, behind);
+                }
+            });
         }
     });
 
-    if (debugOn) updateDebugOverlay();
+    if (hintOn && isGameRunning) {
+        const direction = currentHint();
+        const player = game.players[0];
+        if (direction && player.alive) {
+            const prevHead = prevGame ? prevGame.players[0].snake[0] : player.snake[0];
+            const pos = interpolateTile(prevHead, player.snake[0], alpha);
+            forEachWrappedPosition(pos, (x, y) => drawHintArrow(x, y, direction));
+        }
+    }
+
+    drawLevelBanner();
+
+    recordFrameTime(performance.now() - drawStart);
+    if (debugOn) updateDebugOverlay();
+}
+
+// The playing field and its border only change with the canvas size, theme and
+// board mode, so they live on their own layer that each frame just copies in
+let backgroundLayer = null;
+let backgroundKey = '';
+
+function drawBackground(cssW, cssH) {
+    const walled = !!game && game.mode === 'walls';
+    const key = `${cssW}x${cssH}@${window.devicePixelRatio || 1}:${walled}:${COLORS.background}:${COLORS.border}`;
+    if (key !== backgroundKey) {
+        if (backgroundLayer && backgroundLayer.close) backgroundLayer.close();
+        backgroundLayer = renderLayer(cssW, cssH, () => {
+            ctx.fillStyle = COLORS.background;
+            ctx.fillRect(0, 0, cssW, cssH);
+
+            // Draw a black border around the playing field so UI outside won't overlap sprites
+            // (thicker in walled mode, where the edge is deadly)
+            const borderWidth = Math.max(walled ? 4 : 2, Math.floor(GRID_SIZE * (walled ? 0.2 : 0.06)));
+            ctx.lineWidth = borderWidth;
+            ctx.strokeStyle = COLORS.border;
+            // inset by half line width for crispness
+            const inset = borderWidth / 2;
+            ctx.strokeRect(inset, inset, cssW - borderWidth, cssH - borderWidth);
+        });
+        backgroundKey = key;
+    }
+    ctx.drawImage(backgroundLayer, 0, 0, cssW, cssH);
+}
+
+// How long draw() took over the last FRAME_SAMPLES frames, for the debug overlay
+const FRAME_SAMPLES = 60;
+const frameTimes = [];
+
+function recordFrameTime(ms) {
+    frameTimes.push(ms);
+    if (frameTimes.length > FRAME_SAMPLES) frameTimes.shift();
+}
+
+// e.g. "0.42 ms avg, 1.10 ms max · 37 segments"
+function describeFrameTime() {
+    if (!frameTimes.length) return 'none';
+    const avg = frameTimes.reduce((sum, ms) => sum + ms, 0) / frameTimes.length;
+    const max = Math.max(...frameTimes);
+    const segments = game ? game.players.reduce((sum, p) => sum + p.snake.length, 0) : 0;
+    return `${avg.toFixed(2)} ms avg, ${max.toFixed(2)} ms max · ${segments} segments`;
+}
+
+const FACING = { '0,-1': 'up', '1,0': 'right', '0,1': 'down', '-1,0': 'left' };
+const FACING_VECTORS = { up: { x: 0, y: -1 }, right: { x: 1, y: 0 }, down: { x: 0, y: 1 }, left: { x: -1, y: 0 } };
+// The vector carton is drawn facing up; rotate it by this much to face each way
+const FACING_ANGLES = { up: 0, right: Math.PI / 2, down: Math.PI, left: -Math.PI / 2 };
+
+// Which way a step from one tile to its neighbour points, across wrapped edges too
+function facingBetween(from, to) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    if (Math.abs(dx) > 1) dx = -Math.sign(dx);
+    if (Math.abs(dy) > 1) dy = -Math.sign(dy);
+    return FACING[`${Math.sign(dx)},${Math.sign(dy)}`] || 'right';
+}
+
+// Blend between two tile positions. A jump of more than one tile means the
+// segment wrapped around the board edge, so it keeps sliding off that edge instead.
+function interpolateTile(from, to, alpha) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    if (Math.abs(dx) > 1) dx = -Math.sign(dx);
+    if (Math.abs(dy) > 1) dy = -Math.sign(dy);
+    return { x: from.x + dx * alpha, y: from.y + dy * alpha };
+}
+
+// Call draw(x, y) for a position and, when it straddles a board edge, for its
+// wrapped copy on the opposite side so both halves are visible
+function forEachWrappedPosition(pos, drawAt) {
+    drawAt(pos.x, pos.y);
+    if (pos.x < 0) drawAt(pos.x + TILE_COUNT, pos.y);
+    if (pos.x > TILE_COUNT - 1) drawAt(pos.x - TILE_COUNT, pos.y);
+    if (pos.y < 0) drawAt(pos.x, pos.y + TILE_COUNT);
+    if (pos.y > TILE_COUNT - 1) drawAt(pos.x, pos.y - TILE_COUNT);
+}
+
+// Translucent arrow one tile ahead of the head at (x, y), pointing the suggested way
+function drawHintArrow(x, y, direction) {
+    const cx = (x + 0.5 + direction.x) * GRID_SIZE;
+    const cy = (y + 0.5 + direction.y) * GRID_SIZE;
+    const len = GRID_SIZE * 0.4;
+
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(Math.atan2(direction.y, direction.x));
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = '#f39c12';
+    ctx.beginPath();
+    ctx.moveTo(len, 0);
+    ctx.lineTo(-len * 0.6, -len * 0.8);
+    ctx.lineTo(-len * 0.2, 0);
+    ctx.lineTo(-len * 0.6, len * 0.8);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+// "Level N" band across the middle of the canvas, fading out after a level-up
+function drawLevelBanner() {
+    if (!levelBanner) return;
+    const elapsed = performance.now() - levelBanner.shownAt;
+    if (elapsed > LEVEL_BANNER_MS) {
+        levelBanner = null;
+        return;
+    }
+    const size = GRID_SIZE * TILE_COUNT;
+    const alpha = 1 - Math.max(0, elapsed - LEVEL_BANNER_MS * 0.6) / (LEVEL_BANNER_MS * 0.4);
+    const bandH = GRID_SIZE * 4;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, size / 2 - bandH / 2, size, bandH);
+    ctx.fillStyle = '#e74c3c';
+    ctx.font = `bold ${Math.round(GRID_SIZE * 2)}px 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(levelBanner.text, size / 2, size / 2);
+    ctx.restore();
 }
 
 function showDebugOverlay() {
@@ -654,6 +1868,18 @@ function placeDebugMarker(x, y, type) {
     setTimeout(() => marker.remove(), 700);
 }
 
+const DIRECTION_ARROWS = { '0,-1': '↑', '0,1': '↓', '-1,0': '←', '1,0': '→' };
+
+// Queued turns per carton for the debug overlay, e.g. "P1 ↑ ← · P2 (empty)"
+function describeInputQueues() {
+    if (!game) return 'none';
+    return game.players.map(p => {
+        const queue = inputQueues[p.id] || [];
+        const turns = queue.length ? queue.map(d => DIRECTION_ARROWS[`${d.x},${d.y}`]).join(' ') : '(empty)';
+        return `${playerLabel(p.id)} ${turns}`;
+    }).join(' · ');
+}
+
 function updateDebugOverlay() {
     if (!debugOverlay) return;
     const canvasRect = canvas.getBoundingClientRect();
@@ -662,24 +1888,92 @@ function updateDebugOverlay() {
     const p = lastPointer ? `${lastPointer.x}, ${lastPointer.y}` : 'none';
     dbg.innerText = `canvas: ${Math.round(canvasRect.left)},${Math.round(canvasRect.top)} ${Math.round(canvasRect.width)}x${Math.round(canvasRect.height)}\n` +
                     `controls: ${Math.round(controlsRect.left)},${Math.round(controlsRect.top)} ${Math.round(controlsRect.width)}x${Math.round(controlsRect.height)}\n` +
-                    `pointer: ${p}`;
+                    `pointer: ${p}\n` +
+                    `input queue: ${describeInputQueues()}\n` +
+                    `draw time: ${describeFrameTime()}`;
 }
 
-// Main loop wrapper with error handling so failures show on-screen
-function gameLoop() {
+// Main loop: requestAnimationFrame renders every frame while the simulation
+// advances in fixed steps of tickInterval() ms, accumulated from real frame time.
+// Rendering interpolates between the last two ticks so the carton drives smoothly.
+let frameId = null;
+let lastFrameTime = 0;
+let accumulator = 0;
+const MAX_FRAME_MS = 250; // clamp long frames (tab switches, breakpoints) to avoid a catch-up burst
+
+function frame(now) {
+    frameId = requestAnimationFrame(frame);
     try {
-        update();
-        draw();
+        const elapsed = Math.min(MAX_FRAME_MS, Math.max(0, now - lastFrameTime));
+        lastFrameTime = now;
+        pollGamepads();
+
+        if (isTurnBased()) {
+            // Only finish sliding into the last tile; takeTurn() moves the board on.
+            // Time spent waiting for the next key doesn't count towards the run.
+            const sliding = Math.min(elapsed, Math.max(0, tickInterval() - accumulator));
+            accumulator += sliding;
+            runTimeMs += sliding;
+        } else if (isGameRunning && !isPaused) {
+            accumulator += elapsed;
+            runTimeMs += elapsed;
+            while (isGameRunning && !isPaused && accumulator >= tickInterval()) {
+                accumulator -= tickInterval();
+                advance();
+            }
+        } else if (attractBot) {
+            accumulator += elapsed;
+            while (attractBot && accumulator >= tickInterval()) {
+                accumulator -= tickInterval();
+                advanceAttract();
+            }
+        }
+
+        const moving = (isGameRunning && !isPaused) || attractBot;
+        const alpha = moving ? Math.min(1, accumulator / tickInterval()) : 1;
+        draw(alpha);
+        updateMusic();
     } catch (err) {
         console.error('Game loop error:', err);
         showRuntimeError(err && err.stack ? err.stack.toString() : String(err));
-        if (gameLoopId) {
-            clearInterval(gameLoopId);
-            gameLoopId = null;
-        }
+        cancelAnimationFrame(frameId);
+        frameId = null;
     }
 }
 
+// Run one simulation tick, keeping the previous state for interpolation
+function advance() {
+    prevGame = game;
+    update();
+}
+
+function startFrameLoop() {
+    if (frameId) return;
+    lastFrameTime = performance.now();
+    frameId = requestAnimationFrame(frame);
+}
+
+// Pause automatically when the tab is hidden (the player resumes by hand) and save
+// the run, in case the browser throws the page away before it comes back
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        pauseGame();
+        saveRun();
+    } else {
+        lastFrameTime = performance.now();
+    }
+});
+window.addEventListener('pagehide', () => {
+    pauseGame();
+    saveRun();
+});
+
+// The page opens on the start screen, with the demo playing behind it
+SCREENS.forEach(s => setScreenVisible(s, false));
+if (startScreen) showScreen(startScreen);
+else startAttractMode();
+startFrameLoop();
+
 // Runtime error overlay (visible on-device when devtools aren't available)
 function showRuntimeError(message) {
     let overlay = document.getElementById('runtime-error-overlay');
@@ -720,21 +2014,49 @@ function showRuntimeError(message) {
     if (pre) pre.textContent = message;
 }
 
-function drawHead(x, y) {
+// effects: active timed power-ups, which change how the carton looks
+// colors: the carton's entry in CARTON_COLORS
+// facing: 'up' | 'right' | 'down' | 'left', picks the sprite when the theme has one
+function drawHead(x, y, effects = [], colors = CARTON_COLORS[0], facing = 'right') {
+    const px = x * GRID_SIZE;
+    const py = y * GRID_SIZE;
+    const cx = px + GRID_SIZE / 2;
+    const cy = py + GRID_SIZE / 2;
+
+    // Ghost mode: the whole carton turns see-through
+    ctx.save();
+    if (effects.includes('ghost')) ctx.globalAlpha = 0.45;
+
+    if (!drawSprite(`${colors.sprites}head-${facing}`, px, py)) {
+        drawCached(`${colors.sprites}head-${facing}`, px, py, (sx, sy) => drawCarton(sx, sy, colors, facing));
+    }
+    ctx.restore();
+
+    drawHeadEffects(cx, cy, effects);
+}
+
+// The vector milk carton with Ponki aboard, turned to face `facing`
+function drawCarton(x, y, colors, facing) {
     const px = x * GRID_SIZE;
     const py = y * GRID_SIZE;
     const cx = px + GRID_SIZE / 2;
     const cy = py + GRID_SIZE / 2;
 
+    // Turn the carton and cat to the heading
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(FACING_ANGLES[facing] || 0);
+    ctx.translate(-cx, -cy);
+
     // Milk Carton Body (The "Car") - keep proportions relative to GRID_SIZE
-    ctx.fillStyle = COLORS.milkCarton;
+    ctx.fillStyle = colors.carton;
     const bodyMargin = Math.max(1, GRID_SIZE * 0.03);
     const bodySize = GRID_SIZE - bodyMargin * 2;
     // Draw the carton body centered in the tile
     ctx.fillRect(px + bodyMargin, py + bodyMargin, bodySize, bodySize);
 
     // Blue detail: draw a quadratic (square) detail centered on the carton
-    ctx.fillStyle = COLORS.milkCartonDetail;
+    ctx.fillStyle = colors.detail;
     const detailSize = Math.max(4, GRID_SIZE * 0.48); // roughly half the tile, but not too small
     const detailX = cx - detailSize / 2;
     const detailY = cy - detailSize / 2;
@@ -850,43 +2172,341 @@ function drawHead(x, y) {
     ctx.arc(cx - GRID_SIZE * 0.2, cy + GRID_SIZE * 0.28, pawRadius, 0, Math.PI * 2);
     ctx.arc(cx + GRID_SIZE * 0.2, cy + GRID_SIZE * 0.28, pawRadius, 0, Math.PI * 2);
     ctx.fill();
+    ctx.restore();
+}
+
+// Power-up auras around a carton head centred on (cx, cy)
+function drawHeadEffects(cx, cy, effects) {
+    // Slow-motion: a pale blue halo around the carton
+    if (effects.includes('slow')) {
+        ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
+        ctx.lineWidth = Math.max(1, GRID_SIZE * 0.08);
+        ctx.beginPath();
+        ctx.arc(cx, cy, GRID_SIZE * 0.7, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    // Magnet: red and blue field arcs on either side
+    if (effects.includes('magnet')) {
+        ctx.lineWidth = Math.max(1, GRID_SIZE * 0.06);
+        ctx.strokeStyle = 'rgba(231, 76, 60, 0.8)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, GRID_SIZE * 0.85, Math.PI * 0.75, Math.PI * 1.25);
+        ctx.stroke();
+        ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, GRID_SIZE * 0.85, -Math.PI * 0.25, Math.PI * 0.25);
+        ctx.stroke();
+    }
+}
+
+// Power-up sprites: a coloured badge with a simple icon per type.
+// ticksLeft: ticks before it vanishes from the board (it blinks near the end)
+function drawPowerUp(x, y, type, ticksLeft) {
+    const alpha = expiryAlpha(ticksLeft);
+    if (!alpha) return;
+
+    const cx = x * GRID_SIZE + GRID_SIZE / 2;
+    const cy = y * GRID_SIZE + GRID_SIZE / 2;
+    const r = GRID_SIZE * 0.45;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = COLORS.powerUp;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
 
+    ctx.lineWidth = Math.max(1, GRID_SIZE * 0.07);
+    switch (type) {
+        case 'ghost':
+            // Little sheet ghost
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(cx, cy - r * 0.15, r * 0.5, Math.PI, 0);
+            ctx.lineTo(cx + r * 0.5, cy + r * 0.5);
+            ctx.lineTo(cx + r * 0.17, cy + r * 0.3);
+            ctx.lineTo(cx - r * 0.17, cy + r * 0.5);
+            ctx.lineTo(cx - r * 0.5, cy + r * 0.3);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        case 'slow':
+            // Clock face
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(cx, cy, r * 0.6, 0, Math.PI * 2);
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx, cy - r * 0.4);
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + r * 0.3, cy);
+            ctx.stroke();
+            break;
+        case 'magnet':
+            // Horseshoe magnet with coloured poles
+            ctx.lineWidth = Math.max(2, GRID_SIZE * 0.14);
+            ctx.strokeStyle = '#e74c3c';
+            ctx.beginPath();
+            ctx.arc(cx, cy, r * 0.45, 0, Math.PI);
+            ctx.stroke();
+            ctx.strokeStyle = '#ecf0f1';
+            ctx.beginPath();
+            ctx.moveTo(cx - r * 0.45, cy);
+            ctx.lineTo(cx - r * 0.45, cy - r * 0.45);
+            ctx.moveTo(cx + r * 0.45, cy);
+            ctx.lineTo(cx + r * 0.45, cy - r * 0.45);
+            ctx.stroke();
+            break;
+        case 'scissors':
+            // Two crossed blades with round handles
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.moveTo(cx - r * 0.5, cy - r * 0.55);
+            ctx.lineTo(cx + r * 0.3, cy + r * 0.2);
+            ctx.moveTo(cx + r * 0.5, cy - r * 0.55);
+            ctx.lineTo(cx - r * 0.3, cy + r * 0.2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(cx - r * 0.35, cy + r * 0.4, r * 0.17, 0, Math.PI * 2);
+            ctx.moveTo(cx + r * 0.52, cy + r * 0.4);
+            ctx.arc(cx + r * 0.35, cy + r * 0.4, r * 0.17, 0, Math.PI * 2);
+            ctx.stroke();
+            break;
+    }
+    ctx.restore();
 }
 
-function drawTailSegment(x, y) {
+// facing: direction of the segment ahead (towards the head); behind: direction of
+// the segment behind, or null for the last one
+function drawTailSegment(x, y, colors = CARTON_COLORS[0], facing = 'right', behind = null) {
     const px = x * GRID_SIZE;
     const py = y * GRID_SIZE;
+    drawCached(`link-${facing}-${behind}`, px, py, (sx, sy) => drawTailLink(sx, sy, facing, behind));
+    if (drawSprite(`${colors.sprites}tail-${facing}`, px, py)) return;
 
     // Simple tail segment drawing (a small mouse-like circle)
-    ctx.fillStyle = COLORS.mouse;
-    ctx.beginPath();
-    ctx.arc(px + GRID_SIZE / 2, py + GRID_SIZE / 2, Math.max(2, GRID_SIZE / 3), 0, Math.PI * 2);
-    ctx.fill();
+    drawCached(`${colors.sprites}tail`, px, py, (sx, sy) => {
+        ctx.fillStyle = colors.tail;
+        ctx.beginPath();
+        ctx.arc((sx + 0.5) * GRID_SIZE, (sy + 0.5) * GRID_SIZE, Math.max(2, GRID_SIZE / 3), 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+function drawTailLink(x, y, facing, behind) {
+    const cx = (x + 0.5) * GRID_SIZE;
+    const cy = (y + 0.5) * GRID_SIZE;
 
-    // Tail connector (visual flair)
-    ctx.strokeStyle = '#7f8c8d';
-    ctx.lineWidth = Math.max(1, GRID_SIZE * 0.05);
+    // Links run from this segment to the edges it shares with its neighbours, so a
+    // chain that wraps leaves one side of the board and comes back in on the other.
+    // At a turn the link bends through the centre, making a rounded corner piece.
+    const half = GRID_SIZE / 2;
+    const ahead = FACING_VECTORS[facing];
+    ctx.save();
+    ctx.strokeStyle = COLORS.tailLink;
+    ctx.lineWidth = Math.max(1, GRID_SIZE * 0.1);
+    ctx.lineCap = 'round';
     ctx.beginPath();
-    ctx.moveTo(px + GRID_SIZE / 2, py + GRID_SIZE / 2);
-    ctx.lineTo(px + GRID_SIZE / 2, py + GRID_SIZE / 2); // placeholder (could connect to prev segment)
+    ctx.moveTo(cx + ahead.x * half, cy + ahead.y * half);
+    if (behind) {
+        const back = FACING_VECTORS[behind];
+        ctx.quadraticCurveTo(cx, cy, cx + back.x * half, cy + back.y * half);
+    } else {
+        ctx.lineTo(cx, cy);
+    }
     ctx.stroke();
+    ctx.restore();
+}
+
+// Draw a frame from the active theme's sprite sheet into the tile at (px, py).
+// Returns false when there is no such frame, so the caller draws it by hand.
+function drawSprite(name, px, py) {
+    const frame = themeSprites && themeSprites.frames[name];
+    if (!frame) return false;
+    const size = themeSprites.tileSize;
+    ctx.drawImage(themeSprites.image, frame[0] * size, frame[1] * size, size, size, px, py, GRID_SIZE, GRID_SIZE);
+    return true;
+}
+
+// Pre-rendered vector sprites. Drawing a carton or mouse by hand takes dozens of
+// path operations, so each look is drawn once into a small offscreen layer and
+// stamped with drawImage from then on. The cache holds one GRID_SIZE, device
+// pixel ratio, theme and palette; it is rebuilt when any of them changes.
+const SPRITE_PAD = 1; // tiles of room around a sprite for ears, whiskers and speed lines
+let spriteCache = new Map();
+let spriteCacheKey = '';
+
+// Draw render() onto a fresh width x height (CSS px) layer at the screen's pixel
+// density; an ImageBitmap where OffscreenCanvas exists, else a detached canvas
+function renderLayer(width, height, render) {
+    const ratio = window.devicePixelRatio || 1;
+    let layer;
+    if (typeof OffscreenCanvas === 'function') {
+        layer = new OffscreenCanvas(Math.ceil(width * ratio), Math.ceil(height * ratio));
+    } else {
+        layer = document.createElement('canvas');
+        layer.width = Math.ceil(width * ratio);
+        layer.height = Math.ceil(height * ratio);
+    }
+    const screen = ctx;
+    ctx = layer.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    try {
+        render();
+    } finally {
+        ctx = screen;
+    }
+    return layer.transferToImageBitmap ? layer.transferToImageBitmap() : layer;
+}
+
+// Stamp the cached sprite `name` onto the tile at (px, py). The first time, it is
+// drawn by render(x, y), which gets the tile position to draw at inside the layer.
+function drawCached(name, px, py, render) {
+    const key = `${GRID_SIZE}@${window.devicePixelRatio || 1}:${themeId}:${paletteId}`;
+    if (key !== spriteCacheKey) {
+        spriteCache.forEach(sprite => sprite.close && sprite.close());
+        spriteCache = new Map();
+        spriteCacheKey = key;
+    }
+    const pad = SPRITE_PAD * GRID_SIZE;
+    let sprite = spriteCache.get(name);
+    if (!sprite) {
+        sprite = renderLayer(GRID_SIZE + pad * 2, GRID_SIZE + pad * 2, () => render(SPRITE_PAD, SPRITE_PAD));
+        spriteCache.set(name, sprite);
+    }
+    ctx.drawImage(sprite, px - pad, py - pad, GRID_SIZE + pad * 2, GRID_SIZE + pad * 2);
 }
 
-function drawMouse(x, y) {
+// Fetch the theme manifest; without it (e.g. a page opened from disk) only the
+// built-in classic theme is offered
+function loadThemes() {
+    fetch(THEME_MANIFEST)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(manifest => {
+            const valid = (manifest && Array.isArray(manifest.themes) ? manifest.themes : [])
+                .filter(t => t && typeof t.id === 'string' && typeof t.name === 'string');
+            if (!valid.length) return;
+            themes = valid;
+            themeId = null;
+            renderThemeOptions();
+            applyTheme(settings.theme);
+        })
+        .catch(err => console.warn('Theme manifest not loaded', err));
+}
+
+function renderThemeOptions() {
+    document.querySelectorAll('[data-setting="theme"]').forEach(select => {
+        select.textContent = '';
+        themes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            select.appendChild(option);
+        });
+        select.value = settings.theme;
+    });
+}
+
+// Switch palettes and start loading the theme's sprite sheet, if it has one
+function applyTheme(id) {
+    const theme = themes.find(t => t.id === id) || themes[0];
+    const palette = PALETTES[settings.palette] ? settings.palette : 'standard';
+    if (theme.id === themeId && palette === paletteId) return;
+    const newTheme = theme.id !== themeId;
+    themeId = theme.id;
+    paletteId = palette;
+    Object.assign(COLORS, CLASSIC_COLORS, theme.colors || {}, PALETTES[palette]);
+    CARTON_COLORS = cartonColors();
+    if (!newTheme) return; // only the palette changed; keep the sprite sheet
+    themeSprites = null;
+
+    const sprites = theme.sprites;
+    if (!sprites || !sprites.sheet || !sprites.frames) return;
+    const image = new Image();
+    image.onload = () => {
+        if (themeId !== theme.id) return; // switched again while it loaded
+        themeSprites = { image, tileSize: sprites.tileSize || image.width, frames: sprites.frames };
+    };
+    image.onerror = () => showNotice(`Could not load sprites for ${theme.name}`);
+    image.src = sprites.sheet;
+}
+
+function drawObstacle(x, y) {
     const px = x * GRID_SIZE;
     const py = y * GRID_SIZE;
-    const cx = px + GRID_SIZE / 2;
-    const cy = py + GRID_SIZE / 2;
+
+    // Stone block with a darker rim so neighbouring blocks read as separate tiles
+    ctx.fillStyle = COLORS.obstacleEdge;
+    ctx.fillRect(px, py, GRID_SIZE, GRID_SIZE);
+    const inset = Math.max(1, GRID_SIZE * 0.1);
+    ctx.fillStyle = COLORS.obstacle;
+    ctx.fillRect(px + inset, py + inset, GRID_SIZE - inset * 2, GRID_SIZE - inset * 2);
+}
+
+// type: key of MOUSE_TYPES; ticksLeft: ticks until a timed mouse vanishes (null = never)
+function drawMouse(x, y, type = 'normal', ticksLeft = null) {
+    // Timed mice blink during their last couple of seconds
+    const alpha = expiryAlpha(ticksLeft);
+    if (!alpha) return;
+
+    const px = x * GRID_SIZE;
+    const py = y * GRID_SIZE;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    if (!drawSprite(`mouse-${type}`, px, py)) {
+        drawCached(`mouse-${type}`, px, py, (sx, sy) => drawMouseBody(sx, sy, type));
+    }
+    ctx.restore();
+}
+
+// Mice and power-ups about to vanish blink; with reduced motion they fade instead.
+// The alpha to draw at this frame (0 = skip it); ticksLeft null = never vanishes.
+function expiryAlpha(ticksLeft) {
+    if (ticksLeft === null || ticksLeft >= 15) return 1;
+    if (prefersReducedMotion()) return 0.4;
+    return Math.floor(performance.now() / 150) % 2 === 0 ? 0 : 1;
+}
+
+function drawMouseBody(x, y, type) {
+    const cx = (x + 0.5) * GRID_SIZE;
+    const cy = (y + 0.5) * GRID_SIZE;
+
+    let body = COLORS.mouse;
+    let ears = COLORS.mouseEars;
+    if (type === 'golden') {
+        body = COLORS.mouseGolden;
+        ears = COLORS.mouseGoldenEars;
+    } else if (type === 'fast') {
+        body = COLORS.mouseFast;
+    } else if (type === 'poisoned') {
+        body = COLORS.mousePoisoned;
+        ears = COLORS.mousePoisonedEars;
+    }
+
+    // Fast mice trail a couple of speed lines
+    if (type === 'fast') {
+        ctx.strokeStyle = body;
+        ctx.lineWidth = Math.max(1, GRID_SIZE * 0.06);
+        ctx.beginPath();
+        ctx.moveTo(cx - GRID_SIZE * 0.75, cy - GRID_SIZE * 0.1);
+        ctx.lineTo(cx - GRID_SIZE * 0.4, cy - GRID_SIZE * 0.1);
+        ctx.moveTo(cx - GRID_SIZE * 0.7, cy + GRID_SIZE * 0.12);
+        ctx.lineTo(cx - GRID_SIZE * 0.4, cy + GRID_SIZE * 0.12);
+        ctx.stroke();
+    }
 
     // Body
-    ctx.fillStyle = COLORS.mouse;
+    ctx.fillStyle = body;
     const bodyRadius = Math.max(3, GRID_SIZE / 3);
     ctx.beginPath();
     ctx.arc(cx, cy, bodyRadius, 0, Math.PI * 2);
     ctx.fill();
 
     // Ears
-    ctx.fillStyle = COLORS.mouseEars;
+    ctx.fillStyle = ears;
     const earRadius = Math.max(1, GRID_SIZE * 0.12);
     const earOffsetX = GRID_SIZE * 0.28;
     const earOffsetY = GRID_SIZE * 0.22;
@@ -894,14 +2514,35 @@ function drawMouse(x, y) {
     ctx.arc(cx - earOffsetX, cy - earOffsetY, earRadius, 0, Math.PI * 2);
     ctx.arc(cx + earOffsetX, cy - earOffsetY, earRadius, 0, Math.PI * 2);
     ctx.fill();
+
+    // Golden mice sparkle
+    if (type === 'golden') {
+        ctx.fillStyle = '#ffffff';
+        const sparkle = Math.max(1, GRID_SIZE * 0.07);
+        ctx.beginPath();
+        ctx.arc(cx - bodyRadius * 0.35, cy - bodyRadius * 0.1, sparkle, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Poisoned mice have crossed-out eyes
+    if (type === 'poisoned') {
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = Math.max(1, GRID_SIZE * 0.04);
+        const e = Math.max(1, GRID_SIZE * 0.06);
+        ctx.beginPath();
+        for (const ex of [cx - GRID_SIZE * 0.12, cx + GRID_SIZE * 0.12]) {
+            ctx.moveTo(ex - e, cy - e);
+            ctx.lineTo(ex + e, cy + e);
+            ctx.moveTo(ex + e, cy - e);
+            ctx.lineTo(ex - e, cy + e);
+        }
+        ctx.stroke();
+    }
 }
 
 function gameOver() {
-    // Stop the main loop
-    if (gameLoopId) {
-        clearInterval(gameLoopId);
-        gameLoopId = null;
-    }
+    const wasLiveRun = !replayPlayer;
+    finishRecording();
 
     // Stop audio engine gracefully
     try { stopEngine(); } catch (_) {}
@@ -911,41 +2552,26 @@ function gameOver() {
 
     // Update UI
     try {
-        if (finalScoreElement) finalScoreElement.textContent = score;
-        if (gameOverScreen) {
-            gameOverScreen.classList.remove('hidden');
-            gameOverScreen.classList.add('active');
-        }
-        if (startScreen) {
-            startScreen.classList.remove('active');
-            startScreen.classList.add('hidden');
-        }
-        if (pauseBtn) {
-            pauseBtn.disabled = true;
-            pauseBtn.classList.remove('active');
-            pauseBtn.textContent = 'Pause';
-            pauseBtn.setAttribute('aria-pressed', 'false');
-        }
+        if (finalScoreElement) finalScoreElement.textContent = game.players[0].score;
+        disablePauseButton();
     } catch (e) {
         // If DOM updates fail for any reason, log but don't throw
         console.warn('gameOver UI update failed', e);
     }
-
-    // Disable canvas interaction while game-over overlay is visible
-    setCanvasInteractive(false);
+    announce(`Game over. Final score ${game.players[0].score}.`);
+    // The overlay also stops canvas interaction while it is visible
+    showScreen(gameOverScreen);
+    if (wasLiveRun) offerHighScore(gameOverScreen);
 
     // Pause background music when game ends
-    try { if (bgMusic) bgMusic.pause(); } catch (_) {}
+    pauseMusic();
         // Re-enable body scrolling when game ends
         try { setBodyScrollEnabled(true); } catch (_) {}
 }
 
 function win() {
-    // Stop the main loop
-    if (gameLoopId) {
-        clearInterval(gameLoopId);
-        gameLoopId = null;
-    }
+    const wasLiveRun = !replayPlayer;
+    finishRecording();
 
     // Stop engine but leave audio context available for victory sound
     try { stopEngine(); } catch (_) {}
@@ -958,39 +2584,80 @@ function win() {
 
     // Update UI: show win screen
     try {
-        if (winScoreElement) winScoreElement.textContent = score;
-        if (winScreen) {
-            winScreen.classList.remove('hidden');
-            winScreen.classList.add('active');
-        }
-        if (gameOverScreen) {
-            gameOverScreen.classList.remove('active');
-            gameOverScreen.classList.add('hidden');
-        }
-        if (startScreen) {
-            startScreen.classList.remove('active');
-            startScreen.classList.add('hidden');
-        }
-        if (pauseBtn) {
-            pauseBtn.disabled = true;
-            pauseBtn.classList.remove('active');
-            pauseBtn.textContent = 'Pause';
-            pauseBtn.setAttribute('aria-pressed', 'false');
-        }
+        if (winScoreElement) winScoreElement.textContent = game.players[0].score;
+        disablePauseButton();
     } catch (e) {
         console.warn('win UI update failed', e);
     }
+    announce(`You win! Final score ${game.players[0].score}.`);
+    showScreen(winScreen);
+    if (wasLiveRun) offerHighScore(winScreen);
 
     // Pause background music when the player wins (leave option to restart)
-    try { if (bgMusic) bgMusic.pause(); } catch (_) {}
-
-    // Disable canvas interaction while win overlay is visible
-    setCanvasInteractive(false);
+    pauseMusic();
     // Re-enable body scrolling when win overlay is shown
     try { setBodyScrollEnabled(true); } catch (_) {}
 }
 
+// End of a head-to-head round: announce the winner (or a draw) and the final scores
+function showResults(result) {
+    finishRecording();
+
+    try { stopEngine(); } catch (_) {}
+
+    isGameRunning = false;
+    isPaused = false;
+
+    if (result.winner !== null) {
+        try { playVictory(); } catch (_) {}
+    }
+
+    try {
+        if (resultsTitleElement) {
+            resultsTitleElement.textContent = result.winner === null ? 'Draw!' : `${playerName(result.winner)} Wins!`;
+        }
+        if (resultsDetailElement) resultsDetailElement.textContent = describeResult(result);
+        announce(`${result.winner === null ? 'Draw!' : `${playerName(result.winner)} wins!`} ${describeResult(result)}`);
+        disablePauseButton();
+    } catch (e) {
+        console.warn('results UI update failed', e);
+    }
+    showScreen(resultsScreen);
+    renderHighScores();
+    updateBestIndicator();
+
+    pauseMusic();
+
+    try { setBodyScrollEnabled(true); } catch (_) {}
+}
+
+// One line on how the round was decided, followed by the scores
+function describeResult(result) {
+    const scores = game.players.map(p => `${playerName(p.id)}: ${p.score}`).join(' · ');
+    let how;
+    if (result.reason === 'quota') {
+        how = result.winner === null
+            ? `Both players caught ${game.mouseQuota} mice with the same score.`
+            : `${playerName(result.winner)} caught ${game.mouseQuota} mice first.`;
+    } else if (game.players.every(p => !p.alive)) {
+        how = result.winner === null ? 'Both cartons crashed with the same score.' : 'Both cartons crashed; the higher score wins.';
+    } else {
+        const loser = game.players.find(p => !p.alive);
+        how = `${playerName(loser.id)} crashed.`;
+    }
+    return `${how} ${scores}`;
+}
+
 // Pause / Resume controls
+// Reset the pause button once a run is over
+function disablePauseButton() {
+    if (!pauseBtn) return;
+    pauseBtn.disabled = true;
+    pauseBtn.classList.remove('active');
+    pauseBtn.textContent = 'Pause';
+    pauseBtn.setAttribute('aria-pressed', 'false');
+}
+
 function togglePause() {
     if (!isGameRunning) return;
     if (isPaused) {
@@ -1003,51 +2670,449 @@ function togglePause() {
 function pauseGame() {
     if (!isGameRunning || isPaused) return;
     isPaused = true;
+    announce('Paused.');
 
-    // Stop the loop
-    if (gameLoopId) {
-        clearInterval(gameLoopId);
-        gameLoopId = null;
-    }
-
-    // Gentle audio fade or stop
-    try {
-        if (engineGain && audioCtx) {
-            const now = audioCtx.currentTime;
-            engineGain.gain.setTargetAtTime(0, now, 0.05);
-        }
-    } catch (_) {}
+    // Let the engine idle down while we wait
+    try { idleEngine(); } catch (_) {}
 
     if (pauseBtn) {
         pauseBtn.classList.add('active');
         pauseBtn.textContent = 'Resume';
         pauseBtn.setAttribute('aria-pressed', 'true');
     }
+    updateReplayControls();
 
     // Pause background music (but keep its position)
-    try { if (bgMusic) bgMusic.pause(); } catch (_) {}
+    pauseMusic();
 }
 
 function resumeGame() {
     if (!isGameRunning || !isPaused) return;
     isPaused = false;
+    announce('Resumed.');
 
-    // Ensure audio context is resumed and engine restarts
+    // Ensure audio context is resumed and the engine revs back up
     try {
         initAudio();
         if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
-        startEngine();
+        revEngine();
     } catch (_) {}
 
-    // Restart loop
-    if (!gameLoopId) gameLoopId = setInterval(gameLoop, GAME_SPEED);
-
     if (pauseBtn) {
         pauseBtn.classList.remove('active');
         pauseBtn.textContent = 'Pause';
         pauseBtn.setAttribute('aria-pressed', 'false');
     }
+    updateReplayControls();
 
     // Resume background music if not muted
-    try { if (bgMusic && !isMuted) { const p = bgMusic.play(); if (p && p.catch) p.catch(()=>{}); } } catch (_) {}
+    playMusic();
+}
+
+// Replay controls
+// Close out the recording (or playback) when a run ends; a live run that ended
+// has nothing left to continue, so its save goes too
+function finishRecording() {
+    if (!replayPlayer) discardSavedRun();
+    if (recorder && game) {
+        lastReplay = recorder.finish(game);
+        recorder = null;
+    }
+    replayPlayer = null;
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    if (replayControls) replayControls.classList.toggle('hidden', !replayPlayer);
+    if (replayPlayer && game) {
+        const total = replayPlayer.replay.ticks;
+        if (replayStatus) replayStatus.textContent = total ? `Replay ${game.tick}/${total}` : `Replay ${game.tick}`;
+        if (replaySpeedBtn) replaySpeedBtn.textContent = `${replaySpeed}x`;
+        if (replayStepBtn) replayStepBtn.disabled = !isPaused;
+    }
+    document.querySelectorAll('.watch-replay-btn, .export-replay-btn').forEach(btn => { btn.disabled = !lastReplay; });
+}
+
+// Advance a paused replay by a single tick
+function stepReplay() {
+    if (!replayPlayer || !isGameRunning || !isPaused) return;
+    advance();
+}
+
+function cycleReplaySpeed() {
+    if (!replayPlayer) return;
+    replaySpeed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replaySpeed) + 1) % REPLAY_SPEEDS.length];
+    updateReplayControls();
+}
+
+// Leave playback and return to the start screen
+function exitReplay() {
+    if (!replayPlayer) return;
+    try { stopEngine(); } catch (_) {}
+    isGameRunning = false;
+    isPaused = false;
+    replayPlayer = null;
+    updateReplayControls();
+
+    showScreen(startScreen);
+    disablePauseButton();
+    pauseMusic();
+    try { setBodyScrollEnabled(true); } catch (_) {}
+}
+
+function exportReplay() {
+    if (!lastReplay) return;
+    downloadFile(`ponki-replay-${lastReplay.seed}.json`, serializeReplay(lastReplay), 'application/json');
+}
+
+function importReplay(file) {
+    file.text()
+        .then(text => startReplay(parseReplay(text)))
+        .catch(err => showNotice(`Could not load replay: ${err.message}`));
+}
+
+// Offer `text` to the user as a file download
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Short message shown over the playing field, hidden again after a few seconds
+let _noticeTimeout;
+// Screen readers read out whatever lands in the (invisible) live region
+function announce(message) {
+    if (!announcerElement || !message) return;
+    // Empty it first so the same words twice in a row are still read
+    announcerElement.textContent = '';
+    setTimeout(() => { announcerElement.textContent = message; }, 50);
+}
+
+function showNotice(message) {
+    if (!noticeElement) return;
+    noticeElement.textContent = message;
+    noticeElement.classList.add('visible');
+    clearTimeout(_noticeTimeout);
+    _noticeTimeout = setTimeout(() => noticeElement.classList.remove('visible'), 3000);
+}
+
+updateReplayControls();
+
+// High scores
+function getStorage() {
+    try { return window.localStorage; } catch (_) { return null; }
+}
+
+function personalBest() {
+    return highScores.length ? highScores[0].score : 0;
+}
+
+// "Best" readout in the controls bar; flags a run that has beaten it
+function updateBestIndicator() {
+    if (!bestElement) return;
+    const best = personalBest();
+    const score = game && game.players.length === 1 ? game.players[0].score : 0;
+    const beaten = isGameRunning && !replayPlayer && score > best && best > 0;
+    bestElement.textContent = beaten ? `Best: ${score} (new!)` : `Best: ${Math.max(best, 0)}`;
+    bestElement.classList.toggle('new-best', beaten);
+}
+
+function formatDuration(ms) {
+    const total = Math.round(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Fill every table on the overlay screens; `highlight` marks a freshly added rank
+function renderHighScores(highlight = -1) {
+    document.querySelectorAll('.highscore-list').forEach(list => {
+        list.textContent = '';
+        if (!highScores.length) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'No scores yet';
+            list.appendChild(empty);
+            return;
+        }
+        highScores.forEach((entry, index) => {
+            const item = document.createElement('li');
+            if (index === highlight) item.classList.add('highlight');
+            const main = document.createElement('span');
+            main.className = 'entry-main';
+            main.textContent = `${entry.name} — ${entry.score}`;
+            const stats = document.createElement('span');
+            stats.className = 'entry-stats';
+            stats.textContent = `length ${entry.length} · ${formatDuration(entry.durationMs)} · ${entry.mode} · ${entry.date.slice(0, 10)}`;
+            item.appendChild(main);
+            item.appendChild(stats);
+            list.appendChild(item);
+        });
+    });
+}
+
+// Show the name form on the end screen when the finished run made the table
+function offerHighScore(screen) {
+    renderHighScores();
+    updateBestIndicator();
+    // Only solo runs go on the table
+    if (!screen || !game || game.players.length > 1) return;
+    const player = game.players[0];
+    if (!qualifiesForHighScore(highScores, player.score)) return;
+    const form = screen.querySelector('.name-entry');
+    if (!form) return;
+    form.pendingEntry = {
+        score: player.score,
+        date: new Date().toISOString(),
+        length: player.snake.length,
+        durationMs: Math.round(runTimeMs),
+        mode: runModeLabel
+    };
+    const input = form.querySelector('input');
+    if (input) {
+        try { input.value = getStorage().getItem('ponki-player-name') || ''; } catch (_) {}
+    }
+    form.classList.remove('hidden');
+    if (input) input.focus();
+}
+
+function saveNameEntry(form) {
+    if (!form.pendingEntry) return;
+    const input = form.querySelector('input');
+    const name = (input && input.value.trim()) || 'Ponki';
+    const result = addHighScore(highScores, { ...form.pendingEntry, name });
+    highScores = result.table;
+    saveHighScores(getStorage(), highScores);
+    try { getStorage().setItem('ponki-player-name', name); } catch (_) {}
+    form.pendingEntry = null;
+    form.classList.add('hidden');
+    renderHighScores(result.rank);
+    updateBestIndicator();
+}
+
+function hideNameEntry() {
+    document.querySelectorAll('.name-entry').forEach(form => {
+        form.pendingEntry = null;
+        form.classList.add('hidden');
+    });
+}
+
+function exportHighScores() {
+    downloadFile('ponki-highscores.json', serializeHighScores(highScores), 'application/json');
+}
+
+function importHighScores(file) {
+    file.text()
+        .then(text => {
+            highScores = mergeHighScores(highScores, parseHighScores(text));
+            saveHighScores(getStorage(), highScores);
+            renderHighScores();
+            updateBestIndicator();
+            showNotice('High scores imported');
+        })
+        .catch(err => showNotice(`Could not import high scores: ${err.message}`));
+}
+
+renderHighScores();
+updateBestIndicator();
+
+// Saved run (see saves.js): offered by the Continue button on the start screen
+let savedRun = loadSavedRun();
+
+function loadSavedRun() {
+    try {
+        return loadSnapshot(getStorage());
+    } catch (err) {
+        clearSnapshot(getStorage());
+        showNotice(`${err.message}, so it was discarded`);
+        return null;
+    }
+}
+
+function saveRun() {
+    if (!isGameRunning || replayPlayer || !game) return;
+    saveSnapshot(getStorage(), createSnapshot(game, rng.getState(), {
+        options: runOptions,
+        runTimeMs: Math.round(runTimeMs),
+        replay: recorder ? serializeReplay(recorder.replay) : null
+    }));
+}
+
+function discardSavedRun() {
+    savedRun = null;
+    clearSnapshot(getStorage());
+    updateContinueButton();
+}
+
+function updateContinueButton() {
+    if (!continueBtn) return;
+    continueBtn.hidden = !savedRun;
+    if (activeScreen === startScreen) primaryButton(startScreen).focus({ preventScroll: true });
+}
+updateContinueButton();
+
+// Settings panel: opened from the start screen or mid-run (which pauses the game)
+function isSettingsOpen() {
+    return !!settingsScreen && activeScreen === settingsScreen;
 }
+
+function openSettings() {
+    if (!settingsScreen || isSettingsOpen()) return;
+    if (isGameRunning) pauseGame();
+    settingsReturnScreen = activeScreen;
+    settingsOpener = document.activeElement;
+    renderSettings();
+    showScreen(settingsScreen);
+}
+
+// Back to the screen (or the paused run) the panel was opened from, focus included
+function closeSettings() {
+    if (!isSettingsOpen()) return;
+    capturingAction = null;
+    if (settingsReturnScreen) showScreen(settingsReturnScreen);
+    else hideScreens();
+    if (settingsOpener && document.contains(settingsOpener) && !settingsOpener.closest('.hidden')) settingsOpener.focus();
+    settingsReturnScreen = null;
+    settingsOpener = null;
+}
+
+function resetSettings() {
+    settings = sanitizeSettings(null);
+    capturingAction = null;
+    saveSettings(getStorage(), settings);
+    applySettings();
+    renderSettings();
+    if (bindingMessage) bindingMessage.textContent = 'Settings reset to defaults';
+}
+
+// Push settings into the parts of the game that don't read them on use
+function applySettings() {
+    applyMixer();
+    playlist.setShuffle(settings.shuffleMusic);
+    applyTheme(settings.theme);
+    document.body.classList.toggle('reduce-motion', settings.reduceMotion);
+}
+
+// Refresh the panel's controls from `settings`
+function renderSettings() {
+    if (keyBindingsElement) {
+        keyBindingsElement.textContent = '';
+        for (const [action, label] of Object.entries(KEY_ACTIONS)) {
+            const row = document.createElement('div');
+            row.className = 'key-binding';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'control-btn';
+            button.classList.toggle('capturing', capturingAction === action);
+            button.textContent = capturingAction === action ? 'Press a key…' : settings.keys[action];
+            makeButtonSafe(button, () => {
+                capturingAction = action;
+                if (bindingMessage) bindingMessage.textContent = `Press a key for ${label} (Escape cancels)`;
+                renderSettings();
+            });
+            row.appendChild(name);
+            row.appendChild(button);
+            keyBindingsElement.appendChild(row);
+        }
+    }
+    document.querySelectorAll('[data-setting]').forEach(input => {
+        if (input.type === 'checkbox') input.checked = settings[input.dataset.setting];
+        else input.value = String(settings[input.dataset.setting]);
+        showSettingValue(input);
+    });
+}
+
+// Keep the number next to a slider in step with it
+function showSettingValue(input) {
+    const output = input.parentElement && input.parentElement.querySelector('output');
+    if (!output) return;
+    const value = settings[input.dataset.setting];
+    const unit = input.dataset.unit || '';
+    output.textContent = unit === '%' ? `${Math.round(value * 100)}%` : `${value}${unit}`;
+}
+
+// Bind the key pressed while a rebind is pending, unless another action already uses it
+function captureBinding(e) {
+    e.preventDefault();
+    const action = capturingAction;
+    capturingAction = null;
+    if (e.key === 'Escape') {
+        if (bindingMessage) bindingMessage.textContent = '';
+    } else {
+        const key = normalizeKey(e.key);
+        const conflict = bindingConflict(settings.keys, action, key);
+        if (conflict) {
+            if (bindingMessage) bindingMessage.textContent = `${key} is already used for ${KEY_ACTIONS[conflict]}`;
+        } else {
+            settings.keys[action] = key;
+            saveSettings(getStorage(), settings);
+            if (bindingMessage) bindingMessage.textContent = `${KEY_ACTIONS[action]}: ${key}`;
+        }
+    }
+    renderSettings();
+}
+
+document.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener(input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input', () => {
+        const name = input.dataset.setting;
+        if (input.type === 'checkbox') settings[name] = input.checked;
+        else settings[name] = SETTING_RANGES[name] ? parseFloat(input.value) : input.value;
+        saveSettings(getStorage(), settings);
+        showSettingValue(input);
+        applySettings();
+        // A new default mode also updates the start screen if it is still to come
+        if (name === 'defaultMode' && modeSelect && !isGameRunning) modeSelect.value = settings.defaultMode;
+    });
+});
+
+if (modeSelect && BOARD_MODES.includes(settings.defaultMode)) modeSelect.value = settings.defaultMode;
+renderThemeOptions();
+applySettings();
+loadThemes();
+loadPlaylist();
+
+// Offline play (see sw.js). Service workers only run for pages served over http(s),
+// not ones opened from disk.
+let waitingWorker = null; // a newer version, installed and waiting to take over
+let updateAccepted = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // With no controller yet this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+                });
+            });
+        })
+        .catch(err => console.warn('Service worker not registered', err));
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) location.reload();
+    });
+}
+
+function showUpdatePrompt(worker) {
+    waitingWorker = worker;
+    if (updatePrompt) updatePrompt.hidden = false;
+}
+
+// The new version takes over and the page reloads into it; pagehide saves the run
+// on the way out, so Continue picks it up again
+makeButtonSafe(updateReloadBtn, () => {
+    if (!waitingWorker) return;
+    updateAccepted = true;
+    updateReloadBtn.disabled = true;
+    waitingWorker.postMessage({ type: 'skipWaiting' });
+});
+
+registerServiceWorker();
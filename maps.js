@@ -0,0 +1,220 @@
+// Obstacle maps. A map is a TILE_COUNT x TILE_COUNT ASCII grid where '#' is a
+// static obstacle and '.' (or a space) is open floor. Map files may be the bare
+// grid as text, or JSON: { "name": "...", "grid": [rows...] } or
+// { "name": "...", "obstacles": [{ "x": 1, "y": 2 }, ...] }.
+// Maps must leave the cartons' starting rows clear (see START_POSITIONS in game.js);
+// createGameState() rejects any that don't.
+
+// TILE_COUNT from game.js, which the page loads before this file
+const MAP_SIZE = typeof module !== 'undefined' && module.exports ? require('./game.js').TILE_COUNT : TILE_COUNT;
+
+const BUILTIN_MAPS = [
+    {
+        id: 'open',
+        name: 'Open Field',
+        grid: []
+    },
+    {
+        id: 'pillars',
+        name: 'Pillars',
+        grid: [
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '.....##................##.....',
+            '.....##................##.....',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............##..............',
+            '..............##..............',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '.....##................##.....',
+            '.....##................##.....',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................'
+        ]
+    },
+    {
+        id: 'box',
+        name: 'Box',
+        grid: [
+            '#############....#############',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#............................#',
+            '#############....#############'
+        ]
+    },
+    {
+        id: 'crosshair',
+        name: 'Crosshair',
+        grid: [
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '...######............######...',
+            '...######............######...',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............##..............',
+            '..............................',
+            '..............................',
+            '..............................'
+        ]
+    },
+    {
+        id: 'corridors',
+        name: 'Corridors',
+        grid: [
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '....#####..########..#####....',
+            '....#.........................',
+            '....#.........................',
+            '....#.........................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '....##########..##########....',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '.........................#....',
+            '.........................#....',
+            '.........................#....',
+            '....#####..########..#####....',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................',
+            '..............................'
+        ]
+    }
+];
+
+// Convert ASCII rows into obstacle tiles; throws on malformed grids
+function gridToObstacles(rows) {
+    if (rows.length > MAP_SIZE) throw new Error(`Map has more than ${MAP_SIZE} rows`);
+    const obstacles = [];
+    rows.forEach((row, y) => {
+        if (row.length > MAP_SIZE) throw new Error(`Map row ${y + 1} is wider than ${MAP_SIZE} tiles`);
+        for (let x = 0; x < row.length; x++) {
+            const ch = row[x];
+            if (ch === '#') obstacles.push({ x, y });
+            else if (ch !== '.' && ch !== ' ') throw new Error(`Unknown map tile '${ch}' at row ${y + 1}`);
+        }
+    });
+    return obstacles;
+}
+
+// Resolve a built-in map by id into the { name, obstacles } form createGameState() takes
+function getBuiltinMap(id) {
+    const map = BUILTIN_MAPS.find(m => m.id === id) || BUILTIN_MAPS[0];
+    return { name: map.name, obstacles: gridToObstacles(map.grid) };
+}
+
+// Parse a map file (JSON or bare ASCII grid). Throws an Error with a readable message.
+function parseMap(text, fallbackName = 'Custom map') {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Map file is empty');
+
+    if (trimmed[0] === '{') {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (_) {
+            throw new Error('Map file is not valid JSON');
+        }
+        const name = typeof data.name === 'string' && data.name ? data.name : fallbackName;
+        if (Array.isArray(data.grid)) {
+            if (!data.grid.every(row => typeof row === 'string')) throw new Error('Map grid rows must be strings');
+            return { name, obstacles: gridToObstacles(data.grid) };
+        }
+        if (Array.isArray(data.obstacles)) {
+            const obstacles = data.obstacles.map(o => {
+                if (!o || !Number.isInteger(o.x) || !Number.isInteger(o.y) ||
+                    o.x < 0 || o.y < 0 || o.x >= MAP_SIZE || o.y >= MAP_SIZE) {
+                    throw new Error('Map contains an obstacle outside the board');
+                }
+                return { x: o.x, y: o.y };
+            });
+            return { name, obstacles };
+        }
+        throw new Error('Map JSON needs a "grid" or "obstacles" list');
+    }
+
+    // Only trailing whitespace is dropped: leading spaces are open tiles
+    return { name: fallbackName, obstacles: gridToObstacles(text.replace(/\s+$/, '').split(/\r?\n/)) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MAP_SIZE, BUILTIN_MAPS, gridToObstacles, getBuiltinMap, parseMap };
+}
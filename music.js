@@ -0,0 +1,357 @@
+// Background music: a reader for standard MIDI files, a small synthesizer that
+// plays them through Web Audio with oscillator instruments, and the playlist
+// order. main.js owns the actual playback (crossfades, the <audio> element for
+// MP3 tracks). No DOM access; the AudioContext is passed in, so the parser and
+// the playlist also run outside the browser; test/music.test.js covers them.
+
+// Whether a track plays on the synthesizer or through an <audio> element
+function trackKind(src) {
+    return /\.midi?$/i.test(src) ? 'midi' : 'media';
+}
+
+// Parse a standard MIDI file (format 0 or 1) into the notes it plays, timed in
+// seconds at the file's own tempo: { duration, notes: [{ start, duration, note,
+// velocity, channel, program }] } sorted by start. Throws an Error with a
+// readable message when the file can't be used.
+function parseMidi(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let pos = 0;
+    const need = (count) => {
+        if (pos + count > bytes.length) throw new Error('MIDI file is truncated');
+    };
+    const text = (length) => {
+        need(length);
+        let s = '';
+        for (let i = 0; i < length; i++) s += String.fromCharCode(bytes[pos++]);
+        return s;
+    };
+    const uint = (length) => {
+        need(length);
+        let value = 0;
+        for (let i = 0; i < length; i++) value = value * 256 + bytes[pos++];
+        return value;
+    };
+    // Variable-length quantity: 7 bits per byte, high bit set on all but the last
+    const varLength = () => {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = uint(1);
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error('MIDI file has a malformed length');
+    };
+
+    if (bytes.length < 14 || text(4) !== 'MThd') throw new Error('Not a MIDI file');
+    const headerLength = uint(4);
+    const format = uint(2);
+    const trackCount = uint(2);
+    const division = uint(2);
+    pos += headerLength - 6;
+    if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+    if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported');
+
+    // Gather every track's events on one timeline of ticks
+    const events = []; // { tick, order, type, ... }
+    for (let t = 0; t < trackCount; t++) {
+        if (text(4) !== 'MTrk') throw new Error('MIDI file has a malformed track');
+        const end = uint(4) + pos;
+        let tick = 0;
+        let status = 0;
+        while (pos < end) {
+            tick += varLength();
+            let byte = uint(1);
+            if (byte === 0xff) {
+                const type = uint(1);
+                const length = varLength();
+                if (type === 0x51 && length === 3) {
+                    events.push({ tick, order: events.length, type: 'tempo', value: uint(3) });
+                } else {
+                    need(length);
+                    pos += length;
+                }
+                if (type === 0x2f) break;
+                continue;
+            }
+            if (byte === 0xf0 || byte === 0xf7) {
+                const length = varLength();
+                need(length);
+                pos += length;
+                continue;
+            }
+            // Running status: a data byte repeats the previous event's status
+            if (byte < 0x80) {
+                if (!status) throw new Error('MIDI file has a malformed event');
+                pos--;
+                byte = status;
+            }
+            status = byte;
+            const kind = byte & 0xf0;
+            const channel = byte & 0x0f;
+            const first = uint(1);
+            const second = kind === 0xc0 || kind === 0xd0 ? 0 : uint(1);
+            if (kind === 0x90 && second > 0) {
+                events.push({ tick, order: events.length, type: 'on', channel, note: first, velocity: second });
+            } else if (kind === 0x80 || kind === 0x90) {
+                events.push({ tick, order: events.length, type: 'off', channel, note: first });
+            } else if (kind === 0xc0) {
+                events.push({ tick, order: events.length, type: 'program', channel, value: first });
+            }
+        }
+        pos = end;
+    }
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    // Walk the timeline converting ticks to seconds through the tempo changes
+    let tempo = 500000; // microseconds per quarter note (120 bpm) until the file says otherwise
+    let lastTick = 0;
+    let seconds = 0;
+    const programs = new Array(16).fill(0);
+    const sounding = new Map(); // `${channel}:${note}` -> notes started and not yet released
+    const notes = [];
+    for (const event of events) {
+        seconds += (event.tick - lastTick) * tempo / 1e6 / division;
+        lastTick = event.tick;
+        if (event.type === 'tempo') {
+            tempo = event.value;
+        } else if (event.type === 'program') {
+            programs[event.channel] = event.value;
+        } else if (event.type === 'on') {
+            const note = {
+                start: seconds, duration: 0, note: event.note, velocity: event.velocity,
+                channel: event.channel, program: programs[event.channel]
+            };
+            const key = `${event.channel}:${event.note}`;
+            if (!sounding.has(key)) sounding.set(key, []);
+            sounding.get(key).push(note);
+            notes.push(note);
+        } else {
+            const started = sounding.get(`${event.channel}:${event.note}`);
+            const note = started && started.shift();
+            if (note) note.duration = seconds - note.start;
+        }
+    }
+    // Notes the file never releases ring until the end
+    for (const started of sounding.values()) started.forEach(note => { note.duration = seconds - note.start; });
+    if (!notes.length) throw new Error('MIDI file has no notes');
+    return { duration: seconds, notes };
+}
+
+// Oscillator instruments for the General MIDI program families (program / 8).
+// attack/decay/release in seconds; sustain is a fraction of the note's peak.
+const INSTRUMENTS = {
+    piano: { wave: 'triangle', attack: 0.005, decay: 0.4, sustain: 0.25, release: 0.3 },
+    bell: { wave: 'sine', attack: 0.002, decay: 0.6, sustain: 0.1, release: 0.4 },
+    organ: { wave: 'square', attack: 0.01, decay: 0.1, sustain: 0.8, release: 0.08, cutoff: 2500 },
+    pluck: { wave: 'triangle', attack: 0.003, decay: 0.25, sustain: 0.1, release: 0.2 },
+    bass: { wave: 'sawtooth', attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.1, cutoff: 600 },
+    strings: { wave: 'sawtooth', attack: 0.15, decay: 0.3, sustain: 0.8, release: 0.4, cutoff: 1800 },
+    wind: { wave: 'square', attack: 0.04, decay: 0.2, sustain: 0.7, release: 0.15, cutoff: 1500 },
+    flute: { wave: 'sine', attack: 0.05, decay: 0.2, sustain: 0.8, release: 0.15 },
+    synth: { wave: 'sawtooth', attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.2, cutoff: 3000 }
+};
+const PROGRAM_FAMILIES = [
+    'piano', 'bell', 'organ', 'pluck', 'bass', 'strings', 'strings', 'wind',
+    'wind', 'flute', 'synth', 'synth', 'synth', 'pluck', 'bell', 'bell'
+];
+const DRUM_CHANNEL = 9; // MIDI channel 10 plays drums, whatever its program
+const NOTE_LEVEL = 0.12; // peak gain of a full-velocity note, leaving room for chords
+const LOOKAHEAD = 0.3; // seconds of music scheduled ahead of the audio clock
+
+function instrumentFor(program) {
+    return INSTRUMENTS[PROGRAM_FAMILIES[Math.floor(program / 8)] || 'piano'];
+}
+
+// Play a parsed song into `destination`. Call update() often (main.js does it
+// every frame) to schedule the next notes. rate > 1 plays it faster.
+function createMidiPlayer(audioCtx, song, destination) {
+    const voices = new Set();
+    let noise = null; // white noise buffer for the drums, made on first use
+    let rate = 1;
+    let playing = false;
+    let anchorTime = 0; // audio clock time at which the song was at anchorPosition
+    let anchorPosition = 0;
+    let next = 0; // index into song.notes of the next note to schedule
+
+    const position = () => playing
+        ? Math.min(song.duration, anchorPosition + (audioCtx.currentTime - anchorTime) * rate)
+        : anchorPosition;
+    const timeOf = (songTime) => anchorTime + (songTime - anchorPosition) / rate;
+
+    function noiseBuffer() {
+        if (!noise) {
+            noise = audioCtx.createBuffer(1, audioCtx.sampleRate * 0.5, audioCtx.sampleRate);
+            const samples = noise.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+        }
+        return noise;
+    }
+
+    function startVoice(source, gain, when, stopAt) {
+        const voice = { source, gain };
+        voices.add(voice);
+        source.onended = () => voices.delete(voice);
+        source.start(when);
+        source.stop(stopAt);
+    }
+
+    // Drums: a short burst of filtered noise, lower notes darker and longer
+    function playDrum(note, when) {
+        const source = audioCtx.createBufferSource();
+        source.buffer = noiseBuffer();
+        const filter = audioCtx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 200 * Math.pow(2, (note.note - 35) / 8);
+        const gain = audioCtx.createGain();
+        const length = note.note < 40 ? 0.25 : 0.08;
+        gain.gain.setValueAtTime(NOTE_LEVEL * 2 * note.velocity / 127, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + length);
+        source.connect(filter).connect(gain).connect(destination);
+        startVoice(source, gain, when, when + length);
+    }
+
+    function playNote(note, when) {
+        if (note.channel === DRUM_CHANNEL) return playDrum(note, when);
+        const instrument = instrumentFor(note.program);
+        const osc = audioCtx.createOscillator();
+        osc.type = instrument.wave;
+        osc.frequency.value = 440 * Math.pow(2, (note.note - 69) / 12);
+        const gain = audioCtx.createGain();
+        const peak = NOTE_LEVEL * note.velocity / 127;
+        const release = when + Math.max(instrument.attack, note.duration / rate);
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(peak, when + instrument.attack);
+        gain.gain.setTargetAtTime(peak * instrument.sustain, when + instrument.attack, instrument.decay / 3);
+        gain.gain.setTargetAtTime(0, release, instrument.release / 3);
+        let out = osc.connect(gain);
+        if (instrument.cutoff) {
+            const filter = audioCtx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = instrument.cutoff;
+            out = gain.connect(filter);
+        }
+        out.connect(destination);
+        startVoice(osc, gain, when, release + instrument.release * 2);
+    }
+
+    // Cut whatever is sounding or queued, with a short fade so it doesn't click
+    function silence() {
+        const now = audioCtx.currentTime;
+        for (const voice of voices) {
+            voice.source.onended = null;
+            try {
+                voice.gain.gain.cancelScheduledValues(now);
+                voice.gain.gain.setTargetAtTime(0, now, 0.02);
+                voice.source.stop(now + 0.1);
+            } catch (_) {}
+        }
+        voices.clear();
+    }
+
+    // Start from song time `from`, skipping notes that began before it
+    function seek(from) {
+        anchorPosition = from;
+        anchorTime = audioCtx.currentTime;
+        next = song.notes.findIndex(n => n.start >= from);
+        if (next < 0) next = song.notes.length;
+    }
+
+    const player = {
+        song,
+        get playing() { return playing; },
+        get ended() { return position() >= song.duration; },
+        position,
+        // Seconds of (real) time left before the song ends at the current rate
+        remaining() {
+            return (song.duration - position()) / rate;
+        },
+        play() {
+            if (playing) return;
+            seek(anchorPosition);
+            playing = true;
+            player.update();
+        },
+        // Stop and keep the place, for play() to carry on from
+        pause() {
+            if (!playing) return;
+            anchorPosition = position();
+            playing = false;
+            silence();
+        },
+        stop() {
+            playing = false;
+            silence();
+            anchorPosition = 0;
+        },
+        setRate(value) {
+            if (value === rate) return;
+            // Notes already queued keep the old rate; everything after uses the new one
+            const songTime = position();
+            anchorTime = audioCtx.currentTime;
+            anchorPosition = songTime;
+            rate = value;
+        },
+        update() {
+            if (!playing) return;
+            const until = Math.min(song.duration, position() + LOOKAHEAD * rate);
+            while (next < song.notes.length && song.notes[next].start < until) {
+                const note = song.notes[next++];
+                playNote(note, Math.max(audioCtx.currentTime, timeOf(note.start)));
+            }
+        }
+    };
+    return player;
+}
+
+// Track order: tracks play in turn, or in a shuffled order that is redrawn each
+// time through the list (without playing the same track twice in a row).
+// rng: a () => [0, 1) function, Math.random by default.
+function createPlaylist(tracks, { shuffle = false, rng = Math.random } = {}) {
+    let order = [];
+    let index = 0;
+
+    function arrange(avoid) {
+        order = tracks.map((_, i) => i);
+        if (!shuffle) return;
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        if (order.length > 1 && order[0] === avoid) [order[0], order[1]] = [order[1], order[0]];
+    }
+    arrange(-1);
+
+    return {
+        get tracks() { return tracks; },
+        get shuffle() { return shuffle; },
+        current() {
+            return tracks[order[index]] || null;
+        },
+        // Move on to the next track (the same one again if it is the only one)
+        next() {
+            if (!tracks.length) return null;
+            index++;
+            if (index >= order.length) {
+                arrange(order[order.length - 1]);
+                index = 0;
+            }
+            return this.current();
+        },
+        // The current track keeps playing; the new order carries on from it
+        setShuffle(value) {
+            if (value === shuffle) return;
+            const playing = order[index];
+            shuffle = value;
+            arrange(-1);
+            index = order.indexOf(playing);
+            if (shuffle && index > 0) {
+                [order[0], order[index]] = [order[index], order[0]];
+                index = 0;
+            }
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { trackKind, parseMidi, INSTRUMENTS, instrumentFor, createMidiPlayer, createPlaylist };
+}
@@ -0,0 +1,107 @@
+// Replay recording and playback. A run is fully determined by its seed, the
+// options passed to createGameState() and the steering input fed to each tick,
+// so that is all a replay stores. test/replay.test.js plays runs back under Node.
+
+// Bump whenever a rule change would make older recordings play back differently
+const REPLAY_VERSION = 4;
+
+// Start recording a run. Call record() with the tick the input is applied on
+// (the state's tick before step()) and the requested direction per carton (null
+// where a carton did not steer), then finish() once the run has ended.
+function createRecorder(seed, options = {}) {
+    return recorderFor({
+        version: REPLAY_VERSION,
+        seed: seed >>> 0,
+        options: { ...options },
+        inputs: [], // [{ tick, directions: [{x, y} | null, ...] }]
+        ticks: 0,
+        result: null
+    });
+}
+
+// Carry on recording a run that was interrupted (e.g. restored from a save);
+// `replay` is the recording so far, as returned by parseReplay()
+function resumeRecorder(replay) {
+    return recorderFor({ ...replay, inputs: replay.inputs.slice(), result: null });
+}
+
+function recorderFor(replay) {
+    return {
+        replay,
+        record(tick, directions) {
+            if (!directions.some(Boolean)) return;
+            replay.inputs.push({ tick, directions: directions.map(d => d ? { x: d.x, y: d.y } : null) });
+        },
+        finish(state) {
+            replay.ticks = state.tick;
+            replay.result = { status: state.status, scores: state.players.map(p => p.score), winner: state.winner };
+            return replay;
+        }
+    };
+}
+
+// Feed a recorded run back one tick at a time. inputFor(tick) returns the
+// step() input for that tick, or null when the player did not steer.
+function createReplayPlayer(replay) {
+    const byTick = new Map();
+    for (const entry of replay.inputs) byTick.set(entry.tick, entry.directions);
+    return {
+        replay,
+        inputFor(tick) {
+            const directions = byTick.get(tick);
+            return directions ? { directions: directions.map(d => d ? { x: d.x, y: d.y } : null) } : null;
+        }
+    };
+}
+
+function serializeReplay(replay) {
+    return JSON.stringify(replay, null, 2);
+}
+
+// Parse and validate a replay file; throws an Error with a readable message
+function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (_) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    if (!data || typeof data !== 'object') throw new Error('Replay file is empty');
+    if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}`);
+    if (!Number.isInteger(data.seed)) throw new Error('Replay is missing its seed');
+    if (!Array.isArray(data.inputs)) throw new Error('Replay is missing its inputs');
+    const isDirection = d => d === null || (d && Number.isInteger(d.x) && Number.isInteger(d.y));
+    for (const entry of data.inputs) {
+        if (!entry || !Number.isInteger(entry.tick) || !Array.isArray(entry.directions) ||
+            !entry.directions.every(isDirection)) {
+            throw new Error('Replay contains a malformed input');
+        }
+    }
+    const options = data.options && typeof data.options === 'object' ? data.options : {};
+    if (options.map !== undefined && options.map !== null && !isMap(options.map)) {
+        throw new Error('Replay has a malformed map');
+    }
+    if (options.levels !== undefined && options.levels !== null) {
+        const levelsOk = Array.isArray(options.levels) && options.levels.every(level =>
+            level && Number.isFinite(level.speed) && level.speed > 0 && (!level.map || isMap(level.map)));
+        if (!levelsOk) throw new Error('Replay has a malformed level');
+    }
+    return {
+        version: data.version,
+        seed: data.seed >>> 0,
+        options,
+        inputs: data.inputs,
+        ticks: Number.isInteger(data.ticks) ? data.ticks : 0,
+        result: data.result || null
+    };
+}
+
+// A resolved map as createGameState() takes it: { name, obstacles: [{x, y}] }
+function isMap(map) {
+    return typeof map === 'object' && Array.isArray(map.obstacles) &&
+        map.obstacles.every(o => o && Number.isInteger(o.x) && Number.isInteger(o.y));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_VERSION, createRecorder, resumeRecorder, createReplayPlayer, serializeReplay, parseReplay };
+}
@@ -0,0 +1,95 @@
+// Saved run: a snapshot of the run in progress, taken when the page is hidden or
+// unloaded so a reload (or a mobile browser discarding the tab) can carry on from
+// it. The snapshot holds the whole game state and the RNG's position, so the run
+// continues exactly as it would have. test/saves.test.js round-trips snapshots
+// through a stand-in storage.
+
+const SAVE_KEY = 'ponki-save';
+
+// Bump whenever the game state's layout changes; older saves are then refused
+const SAVE_VERSION = 1;
+
+// Saved mice and power-ups must be types game.js knows
+const SAVE_RULES = typeof module !== 'undefined' && module.exports
+    ? require('./game.js')
+    : { MOUSE_TYPES, POWERUP_TYPES };
+
+// state: the game state; rngState: rng.getState(); extras: what main.js needs to
+// set the run up again, e.g. { options, runTimeMs, replay }
+function createSnapshot(state, rngState, extras = {}) {
+    return {
+        ...extras,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        rngState: rngState >>> 0,
+        state: JSON.parse(JSON.stringify(state))
+    };
+}
+
+function isTile(t) {
+    return !!t && Number.isInteger(t.x) && Number.isInteger(t.y);
+}
+
+// A mouse or power-up: a tile with a type the catalogue knows
+function isPiece(catalogue) {
+    return p => isTile(p) && typeof p.type === 'string' && Object.prototype.hasOwnProperty.call(catalogue, p.type);
+}
+
+// Parse and validate a saved snapshot; throws an Error with a readable message
+function parseSnapshot(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (_) {
+        throw new Error('Saved run is not valid JSON');
+    }
+    if (!data || typeof data !== 'object') throw new Error('Saved run is empty');
+    if (data.version !== SAVE_VERSION) throw new Error(`Saved run is from another version (${data.version})`);
+    if (!Number.isInteger(data.rngState)) throw new Error('Saved run is missing its random seed');
+    const state = data.state;
+    if (!state || typeof state !== 'object' || state.status !== 'running' || !Number.isInteger(state.tick)) {
+        throw new Error('Saved run has no game in progress');
+    }
+    const playersOk = Array.isArray(state.players) && state.players.length > 0 && state.players.every(p =>
+        p && Array.isArray(p.snake) && p.snake.length > 0 && p.snake.every(isTile) &&
+        isTile(p.direction) && Number.isFinite(p.score) && p.effects && typeof p.effects === 'object');
+    if (!playersOk) throw new Error('Saved run has a malformed carton');
+    if (!Array.isArray(state.mice) || !state.mice.every(isPiece(SAVE_RULES.MOUSE_TYPES)) ||
+        !Array.isArray(state.powerups) || !state.powerups.every(isPiece(SAVE_RULES.POWERUP_TYPES)) ||
+        !Array.isArray(state.obstacles) || !state.obstacles.every(isTile) ||
+        !Array.isArray(state.levels) || !state.levels.length) {
+        throw new Error('Saved run has a malformed board');
+    }
+    return {
+        ...data,
+        options: data.options && typeof data.options === 'object' ? data.options : {},
+        runTimeMs: Number.isFinite(data.runTimeMs) ? data.runTimeMs : 0,
+        replay: typeof data.replay === 'string' ? data.replay : null
+    };
+}
+
+// The saved snapshot, or null if there is none. Throws (see parseSnapshot) when
+// one is stored but can't be used, so the caller can say so and clear it.
+function loadSnapshot(storage) {
+    let raw = null;
+    try {
+        raw = storage.getItem(SAVE_KEY);
+    } catch (_) {}
+    return raw ? parseSnapshot(raw) : null;
+}
+
+function saveSnapshot(storage, snapshot) {
+    try {
+        storage.setItem(SAVE_KEY, JSON.stringify(snapshot));
+    } catch (_) {}
+}
+
+function clearSnapshot(storage) {
+    try {
+        storage.removeItem(SAVE_KEY);
+    } catch (_) {}
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SAVE_KEY, SAVE_VERSION, createSnapshot, parseSnapshot, loadSnapshot, saveSnapshot, clearSnapshot };
+}
@@ -0,0 +1,128 @@
+// Player settings: key bindings, touch sensitivity, volumes, mute, the music
+// options, the default board mode, the theme and the accessibility options, kept
+// in localStorage under SETTINGS_KEY. Saved values are only trusted after
+// sanitizeSettings() has checked them.
+
+const SETTINGS_KEY = 'ponki-settings';
+
+// Keyboard actions, in the order the settings panel lists them. The p1 keys drive
+// the first carton and the p2 keys the second; in solo play both sets drive the first.
+const KEY_ACTIONS = {
+    p1Up: 'Player 1 up',
+    p1Down: 'Player 1 down',
+    p1Left: 'Player 1 left',
+    p1Right: 'Player 1 right',
+    p2Up: 'Player 2 up',
+    p2Down: 'Player 2 down',
+    p2Left: 'Player 2 left',
+    p2Right: 'Player 2 right',
+    pause: 'Pause',
+    hint: 'Hint arrow'
+};
+
+const DEFAULT_SETTINGS = {
+    keys: {
+        p1Up: 'w',
+        p1Down: 's',
+        p1Left: 'a',
+        p1Right: 'd',
+        p2Up: 'ArrowUp',
+        p2Down: 'ArrowDown',
+        p2Left: 'ArrowLeft',
+        p2Right: 'ArrowRight',
+        pause: 'Space',
+        hint: 'h'
+    },
+    swipeThreshold: 30, // minimum px to consider a swipe
+    doubleTapTimeout: 300, // ms between taps of a double-tap (pauses)
+    doubleTapDist: 40, // px the second tap may land from the first
+    deadZone: 0.35, // controller stick deflection (0..1) ignored as drift
+    masterVolume: 1,
+    musicVolume: 1,
+    sfxVolume: 1,
+    muted: false, // the mute button; silences every bus
+    shuffleMusic: false, // play the playlist in a random order
+    musicTempo: false, // music speeds up and slows down with the game
+    defaultMode: 'wrap', // board mode preselected on the start screen
+    theme: 'classic', // id from assets/themes.json
+    palette: 'standard', // colour-blind-safe recolouring laid over the theme
+    reduceMotion: false, // no blinking or banners even if the system doesn't ask for it
+    turnBased: false // the carton moves one tile per key press instead of by the clock
+};
+
+// [min, max] for each numeric setting; loaded values are clamped into range
+const SETTING_RANGES = {
+    swipeThreshold: [10, 100],
+    doubleTapTimeout: [100, 800],
+    doubleTapDist: [10, 120],
+    deadZone: [0.05, 0.95],
+    masterVolume: [0, 1],
+    musicVolume: [0, 1],
+    sfxVolume: [0, 1]
+};
+
+// The name a KeyboardEvent.key is stored under: letters ignore Shift/Caps Lock
+function normalizeKey(key) {
+    if (key === ' ' || key === 'Spacebar') return 'Space';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Fill in defaults for anything missing or malformed
+function sanitizeSettings(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    const settings = { ...DEFAULT_SETTINGS, keys: { ...DEFAULT_SETTINGS.keys } };
+    if (source.keys && typeof source.keys === 'object') {
+        for (const action of Object.keys(KEY_ACTIONS)) {
+            const key = source.keys[action];
+            if (typeof key === 'string' && key && !bindingConflict(settings.keys, action, key, source.keys)) {
+                settings.keys[action] = key;
+            }
+        }
+    }
+    for (const [name, [min, max]] of Object.entries(SETTING_RANGES)) {
+        if (Number.isFinite(source[name])) settings[name] = Math.min(max, Math.max(min, source[name]));
+    }
+    if (typeof source.muted === 'boolean') settings.muted = source.muted;
+    if (typeof source.shuffleMusic === 'boolean') settings.shuffleMusic = source.shuffleMusic;
+    if (typeof source.musicTempo === 'boolean') settings.musicTempo = source.musicTempo;
+    if (typeof source.defaultMode === 'string') settings.defaultMode = source.defaultMode;
+    if (typeof source.theme === 'string') settings.theme = source.theme;
+    if (typeof source.palette === 'string') settings.palette = source.palette;
+    if (typeof source.reduceMotion === 'boolean') settings.reduceMotion = source.reduceMotion;
+    if (typeof source.turnBased === 'boolean') settings.turnBased = source.turnBased;
+    return settings;
+}
+
+function loadSettings(storage) {
+    try {
+        const raw = storage.getItem(SETTINGS_KEY);
+        return sanitizeSettings(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+        return sanitizeSettings(null);
+    }
+}
+
+function saveSettings(storage, settings) {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (_) {}
+}
+
+// The action bound to a (normalized) key, or null
+function actionForKey(keys, key) {
+    return Object.keys(KEY_ACTIONS).find(action => keys[action] === key) || null;
+}
+
+// Another action already using `key`, or null if `action` may take it.
+// `pending` holds bindings not applied yet (used while loading saved keys).
+function bindingConflict(keys, action, key, pending = keys) {
+    return Object.keys(KEY_ACTIONS).find(other =>
+        other !== action && (pending[other] || keys[other]) === key) || null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SETTINGS_KEY, KEY_ACTIONS, DEFAULT_SETTINGS, SETTING_RANGES, normalizeKey, sanitizeSettings,
+        loadSettings, saveSettings, actionForKey, bindingConflict
+    };
+}
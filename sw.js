@@ -0,0 +1,103 @@
+// Service worker: keeps the game playable offline. Everything the game needs is
+// cached on install and served from the cache first; anything else goes to the
+// network. Bump CACHE_VERSION whenever a cached file changes so browsers pick up
+// the new files; main.js then offers to reload into the new version.
+//
+// To try it offline, serve the folder over http (service workers don't run for
+// file:// pages), e.g. `python3 -m http.server 8000`, open http://localhost:8000,
+// then stop the server (or tick "Offline" in the dev tools) and reload.
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `ponki-${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'style.css',
+    'game.js',
+    'bots.js',
+    'maps.js',
+    'levels.js',
+    'replay.js',
+    'highscores.js',
+    'settings.js',
+    'saves.js',
+    'music.js',
+    'main.js',
+    'manifest.webmanifest',
+    'assets/chopin.mp3',
+    'assets/mouse-waltz.mid',
+    'assets/music.json',
+    'assets/themes.json',
+    'assets/sprites/pixel.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png',
+    'assets/icons/apple-touch-icon.png'
+];
+
+// The new version waits until the page asks it to take over (see 'message'),
+// so a running game is never swapped out from under the player
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('ponki-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(cachedResponse(request));
+});
+
+async function cachedResponse(request) {
+    const cache = await caches.open(CACHE_NAME);
+    let response = await cache.match(request, { ignoreSearch: true });
+    // Any page of the app is the game itself
+    if (!response && request.mode === 'navigate') response = await cache.match('index.html');
+    if (!response) return fetch(request);
+    const range = request.headers.get('range');
+    return range ? rangeResponse(response, range) : response;
+}
+
+// The <audio> element asks for the music in byte ranges; answer those from the
+// cached copy, since a whole-file answer would stop it seeking (and looping)
+async function rangeResponse(response, range) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    const blob = await response.blob();
+    const size = blob.size;
+    let start = match && match[1] ? parseInt(match[1], 10) : NaN;
+    let end = match && match[2] ? parseInt(match[2], 10) : size - 1;
+    if (match && !match[1] && match[2]) {
+        // "bytes=-N": the last N bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    }
+    if (!Number.isInteger(start) || start >= size || end < start) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+    end = Math.min(end, size - 1);
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
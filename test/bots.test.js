@@ -0,0 +1,49 @@
+// The computer opponent in bots.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, createGameState, step } = require('../game.js');
+const { BOT_DIFFICULTIES, createBot } = require('../bots.js');
+
+const UP = { x: 0, y: -1 };
+const DOWN = { x: 0, y: 1 };
+
+// A lone carton at (10,10) heading right with a single mouse at `at`
+function boardWithMouse(at, tick) {
+    const state = createGameState({}, createRng(1));
+    state.tick = tick;
+    state.mice = [{ id: 1, type: 'normal', x: at.x, y: at.y, expiresAt: null }];
+    return state;
+}
+
+test('a hard bot beside a carton driving straight still catches mice', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const rng = createRng(seed);
+        const bot = createBot('pathfinder', { player: 1, difficulty: 'hard', rng: createRng(seed + 1) });
+        let state = createGameState({ players: 2 }, rng);
+        while (state.status === 'running' && state.tick < 600 && state.players[1].score === 0) {
+            state = step(state, { directions: [null, bot.chooseDirection(state)] }, rng).state;
+        }
+        assert.ok(state.players[1].score > 0, `seed ${seed}`);
+    }
+});
+
+test('slower bots chase the mouse where they last saw it', () => {
+    const above = { x: 10, y: 5 };
+    const below = { x: 10, y: 15 };
+    for (const difficulty of Object.keys(BOT_DIFFICULTIES)) {
+        // rng 0 always takes the planned move
+        const bot = createBot('pathfinder', { player: 0, difficulty, rng: () => 0 });
+        const late = BOT_DIFFICULTIES[difficulty].reactionTicks;
+        assert.deepStrictEqual(bot.chooseDirection(boardWithMouse(above, 0)), UP, difficulty);
+        // The mouse darts below the carton; the bot keeps heading up for `late` ticks
+        for (let tick = 1; tick <= late + 1; tick++) {
+            const expected = tick <= late ? UP : DOWN;
+            assert.deepStrictEqual(bot.chooseDirection(boardWithMouse(below, tick)), expected, `${difficulty} @${tick}`);
+        }
+    }
+});
+
+test('unknown bots are rejected', () => {
+    assert.throws(() => createBot('oracle', { player: 1 }), /Unknown bot: oracle/);
+});
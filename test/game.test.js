@@ -0,0 +1,361 @@
+// Headless checks of the rules in game.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_COUNT, MOUSE_TYPES, POWERUP_TYPES, createRng, createGameState, currentLevel, hasEffect, step, tileDistance, freeTiles, spawnMouse
+} = require('../game.js');
+
+// A mouse placed by hand
+function mouse(x, y, type = 'normal', expiresAt = null) {
+    return { id: 100 + y * TILE_COUNT + x, type, x, y, expiresAt };
+}
+
+// A one-carton game with the carton and mice placed by hand; by default one mouse is parked out of the way
+function setup(snake, direction, mice = [mouse(0, 29)], options = {}) {
+    const rng = createRng(1);
+    const state = createGameState(options, rng);
+    state.players[0].snake = snake.map(s => ({ x: s.x, y: s.y }));
+    state.players[0].direction = { x: direction.x, y: direction.y };
+    state.mice = mice.map(m => ({ ...m }));
+    return { state, rng };
+}
+
+test('the carton wraps around every edge', () => {
+    const last = TILE_COUNT - 1;
+    const cases = [
+        { name: 'right', snake: [{ x: last, y: 5 }, { x: last - 1, y: 5 }], direction: { x: 1, y: 0 }, head: { x: 0, y: 5 } },
+        { name: 'left', snake: [{ x: 0, y: 5 }, { x: 1, y: 5 }], direction: { x: -1, y: 0 }, head: { x: last, y: 5 } },
+        { name: 'bottom', snake: [{ x: 5, y: last }, { x: 5, y: last - 1 }], direction: { x: 0, y: 1 }, head: { x: 5, y: 0 } },
+        { name: 'top', snake: [{ x: 5, y: 0 }, { x: 5, y: 1 }], direction: { x: 0, y: -1 }, head: { x: 5, y: last } }
+    ];
+    for (const c of cases) {
+        const { state, rng } = setup(c.snake, c.direction);
+        const result = step(state, null, rng);
+        assert.strictEqual(result.state.status, 'running', c.name);
+        assert.deepStrictEqual(result.state.players[0].snake[0], c.head, c.name);
+        assert.strictEqual(result.state.players[0].snake.length, 2, c.name);
+    }
+});
+
+test('driving into its own tail kills the carton', () => {
+    // Head at (5,5) heading up into (5,4), which the tail still covers
+    const snake = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 4 }, { x: 5, y: 4 }, { x: 4, y: 4 }];
+    const { state, rng } = setup(snake, { x: 0, y: -1 });
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.status, 'dead');
+    assert.deepStrictEqual(result.events, [{ type: 'died', player: 0, reason: 'self' }]);
+});
+
+test('a turn back into the neck is ignored', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }, { x: 8, y: 10 }], { x: 1, y: 0 });
+    const result = step(state, { direction: { x: -1, y: 0 } }, rng);
+    assert.strictEqual(result.state.status, 'running');
+    assert.deepStrictEqual(result.state.players[0].snake[0], { x: 11, y: 10 });
+});
+
+test('catching the mouse grows the tail, scores and places a new mouse', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }, { x: 8, y: 10 }], { x: 1, y: 0 }, [mouse(11, 10)]);
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events, [{ type: 'ate', player: 0, x: 11, y: 10, score: 1, mouseType: 'normal', points: 1 }]);
+    assert.strictEqual(result.state.players[0].score, 1);
+    assert.strictEqual(result.state.players[0].snake.length, 4);
+    assert.strictEqual(result.state.mice.length, state.miceOnBoard);
+    for (const m of result.state.mice) {
+        assert.ok(!result.state.players[0].snake.some(s => s.x === m.x && s.y === m.y));
+    }
+});
+
+test('step() leaves the state it was given unchanged', () => {
+    const rng = createRng(42);
+    let state = createGameState({}, rng);
+    for (let i = 0; i < 50 && state.status === 'running'; i++) {
+        const before = JSON.stringify(state);
+        const result = step(state, i % 7 === 0 ? { direction: { x: 0, y: i % 2 ? 1 : -1 } } : null, rng);
+        assert.strictEqual(JSON.stringify(state), before);
+        assert.notStrictEqual(result.state, state);
+        state = result.state;
+    }
+});
+
+test('the same seed deals the same run', () => {
+    const play = seed => {
+        const rng = createRng(seed);
+        let state = createGameState({}, rng);
+        const mice = [state.mice];
+        for (let i = 0; i < 40; i++) {
+            state = step(state, i % 5 === 0 ? { direction: { x: 0, y: 1 } } : null, rng).state;
+            mice.push(state.mice);
+        }
+        return mice;
+    };
+    assert.deepStrictEqual(play(7), play(7));
+    assert.notDeepStrictEqual(play(7), play(8));
+});
+
+test('an rng rebuilt from getState() continues the same sequence', () => {
+    const rng = createRng(99);
+    rng();
+    rng();
+    const resumed = createRng(rng.getState());
+    assert.deepStrictEqual([resumed(), resumed()], [rng(), rng()]);
+});
+
+// Every tile of the board except those in `keep`, as a snake body
+function fillBoard(keep) {
+    const tiles = [];
+    for (let y = 0; y < TILE_COUNT; y++) {
+        for (let x = 0; x < TILE_COUNT; x++) {
+            if (!keep.some(k => k.x === x && k.y === y)) tiles.push({ x, y });
+        }
+    }
+    return tiles;
+}
+
+test('meeting the mouse quota wins the run', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, [mouse(11, 10)], { mouseQuota: 3 });
+    state.players[0].caught = 2;
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.status, 'won');
+    assert.deepStrictEqual(result.events.map(e => e.type), ['ate', 'won']);
+    assert.strictEqual(result.events[1].reason, 'quota');
+    assert.deepStrictEqual(result.state.mice, []);
+    // A finished run stays finished
+    assert.deepStrictEqual(step(result.state, null, rng).events, []);
+});
+
+test('catching the last mouse on a full board wins the run', () => {
+    // The head sits at (1,0) next to the last open tile (0,0), where the mouse is
+    const body = fillBoard([{ x: 0, y: 0 }, { x: 1, y: 0 }]);
+    const { state, rng } = setup([{ x: 1, y: 0 }, ...body], { x: -1, y: 0 }, [mouse(0, 0)]);
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.status, 'won');
+    assert.strictEqual(result.events[1].reason, 'full');
+    assert.strictEqual(result.state.players[0].snake.length, TILE_COUNT * TILE_COUNT);
+});
+
+test('mice only spawn on free tiles, in a single draw', () => {
+    const open = [{ x: 3, y: 7 }, { x: 12, y: 0 }, { x: 29, y: 29 }];
+    const state = createGameState({}, createRng(3));
+    state.players[0].snake = fillBoard(open.concat([{ x: 5, y: 5 }]));
+    state.mice = [mouse(5, 5)];
+    assert.deepStrictEqual(freeTiles(state), [{ x: 12, y: 0 }, { x: 3, y: 7 }, { x: 29, y: 29 }]);
+    for (const roll of [0, 0.34, 0.67, 0.999999]) {
+        let draws = 0;
+        const spawned = spawnMouse(state, () => { draws++; return roll; });
+        assert.ok(open.some(t => t.x === spawned.x && t.y === spawned.y));
+        assert.strictEqual(draws, 1);
+    }
+    state.players[0].snake = fillBoard([{ x: 5, y: 5 }]);
+    assert.strictEqual(spawnMouse(state, createRng(3)), null);
+});
+
+test('walled boards kill the carton at the edge', () => {
+    const { state, rng } = setup([{ x: 0, y: 5 }, { x: 1, y: 5 }], { x: -1, y: 0 }, undefined, { mode: 'walls' });
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.status, 'dead');
+    assert.deepStrictEqual(result.events, [{ type: 'died', player: 0, reason: 'wall' }]);
+});
+
+test('obstacles kill the carton and never hold a mouse', () => {
+    const map = { name: 'Block', obstacles: [{ x: 21, y: 20 }, { x: 3, y: 3 }] };
+    const { state, rng } = setup([{ x: 20, y: 20 }, { x: 19, y: 20 }], { x: 1, y: 0 }, undefined, { map });
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events, [{ type: 'died', player: 0, reason: 'obstacle' }]);
+    assert.ok(!freeTiles(state).some(t => map.obstacles.some(o => o.x === t.x && o.y === t.y)));
+});
+
+test('a map over the starting row is rejected', () => {
+    const map = { name: 'Wall', obstacles: [{ x: 13, y: 10 }] };
+    assert.throws(() => createGameState({ map }, createRng(1)), /blocks the starting position/);
+});
+
+// Two levels, one mouse apart, the second bringing a map well away from the carton
+const PILLAR = { name: 'Pillar', obstacles: [{ x: 25, y: 25 }] };
+const LEVEL_TABLE = [{ speed: 100 }, { speed: 80, map: PILLAR }];
+
+test('catching enough mice levels up and speeds the game', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, [mouse(11, 10)],
+        { levels: LEVEL_TABLE, micePerLevel: 1 });
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events[1], { type: 'levelup', level: 2, speed: 80 });
+    assert.strictEqual(currentLevel(result.state).speed, 80);
+    assert.strictEqual(result.state.mapName, 'Pillar');
+    assert.deepStrictEqual(result.state.obstacles, PILLAR.obstacles);
+});
+
+test('level maps leave a map the player picked alone', () => {
+    const chosen = { name: 'Chosen', obstacles: [{ x: 2, y: 2 }] };
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, [mouse(11, 10)],
+        { map: chosen, levels: LEVEL_TABLE, micePerLevel: 1 });
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.level, 2);
+    assert.strictEqual(result.state.mapName, 'Chosen');
+    assert.deepStrictEqual(result.state.obstacles, chosen.obstacles);
+});
+
+test('a golden mouse vanishes when its lifetime runs out', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, []);
+    const golden = spawnMouse(state, rng, 'golden');
+    assert.strictEqual(golden.expiresAt, state.tick + MOUSE_TYPES.golden.lifetime);
+
+    state.mice = [{ ...golden, x: 3, y: 25 }];
+    state.tick = golden.expiresAt - 2;
+    const before = step(state, null, rng);
+    assert.ok(before.state.mice.some(m => m.id === golden.id));
+    const after = step(before.state, null, rng);
+    assert.deepStrictEqual(after.events, [{ type: 'expired', x: 3, y: 25, mouseType: 'golden' }]);
+    assert.ok(!after.state.mice.some(m => m.id === golden.id));
+});
+
+test('a fast mouse runs from the carton on its own beat', () => {
+    const fleeEvery = MOUSE_TYPES.fast.fleeEvery;
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, [mouse(14, 10, 'fast')]);
+    state.miceOnBoard = 1;
+
+    // Off the beat it holds still
+    state.tick = fleeEvery; // the next step lands on fleeEvery + 1
+    const still = step(state, null, rng).state;
+    assert.deepStrictEqual([still.mice[0].x, still.mice[0].y], [14, 10]);
+
+    // On the beat it steps one tile further from the head
+    state.tick = fleeEvery - 1;
+    const fled = step(state, null, rng).state;
+    const head = fled.players[0].snake[0];
+    assert.strictEqual(tileDistance(fled, fled.mice[0], head), tileDistance(fled, { x: 14, y: 10 }, head) + 1);
+});
+
+test('a poisoned mouse shrinks the carton and scores nothing', () => {
+    const snake = [];
+    for (let x = 10; x > 0; x--) snake.push({ x, y: 10 });
+    const { state, rng } = setup(snake, { x: 1, y: 0 }, [mouse(11, 10, 'poisoned')]);
+    const result = step(state, null, rng);
+    assert.strictEqual(result.events[0].points, 0);
+    assert.strictEqual(result.state.players[0].score, 0);
+    assert.strictEqual(result.state.players[0].caught, 0);
+    assert.strictEqual(result.state.players[0].snake.length, 10 - MOUSE_TYPES.poisoned.shrink);
+    assert.deepStrictEqual(result.state.players[0].snake[0], { x: 11, y: 10 });
+});
+
+test('the board always keeps a mouse worth points', () => {
+    // Every weighted pick would come up poisoned
+    const alwaysPoison = () => 0.99;
+    const { state } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 },
+        [mouse(2, 2, 'poisoned'), mouse(4, 4, 'poisoned')]);
+    state.miceOnBoard = 4;
+    const result = step(state, null, alwaysPoison);
+    assert.strictEqual(result.state.mice.length, 4);
+    assert.ok(result.state.mice.some(m => MOUSE_TYPES[m.type].points > 0));
+});
+
+// A power-up placed by hand
+function powerup(x, y, type) {
+    return { id: 500 + y * TILE_COUNT + x, type, x, y, expiresAt: 1000 };
+}
+
+// A straight carton of `length` tiles on row 10 heading right, its head at (length, 10)
+function straight(length) {
+    const snake = [];
+    for (let x = length; x > 0; x--) snake.push({ x, y: 10 });
+    return snake;
+}
+
+test('scissors trim the tail but always leave the head and one segment', () => {
+    const trim = POWERUP_TYPES.scissors.trim;
+    for (const [length, expected] of [[2, 2], [3, 2], [4, 2], [trim + 2, 2], [trim + 3, 3], [10, 10 - trim]]) {
+        const { state, rng } = setup(straight(length), { x: 1, y: 0 });
+        state.powerups = [powerup(length + 1, 10, 'scissors')];
+        const result = step(state, null, rng);
+        assert.deepStrictEqual(result.events[0], { type: 'powerup', player: 0, x: length + 1, y: 10, powerType: 'scissors' });
+        assert.strictEqual(result.state.players[0].snake.length, expected, `length ${length}`);
+        assert.deepStrictEqual(result.state.players[0].snake[0], { x: length + 1, y: 10 });
+    }
+});
+
+test('ghost drives through the tail until it wears off', () => {
+    const snake = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 4 }, { x: 5, y: 4 }, { x: 4, y: 4 }];
+    const { state, rng } = setup(snake, { x: 0, y: -1 });
+    state.players[0].effects = { ghost: state.tick + 2 };
+    assert.ok(hasEffect(state, state.players[0], 'ghost'));
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.status, 'running');
+    assert.deepStrictEqual(result.state.players[0].snake[0], { x: 5, y: 4 });
+    const ended = step(result.state, null, rng);
+    assert.ok(ended.events.some(e => e.type === 'effectEnded' && e.powerType === 'ghost'));
+    assert.ok(!hasEffect(ended.state, ended.state.players[0], 'ghost'));
+});
+
+test('a level map drops the power-ups it lands on', () => {
+    const { state, rng } = setup([{ x: 10, y: 10 }, { x: 9, y: 10 }], { x: 1, y: 0 }, [mouse(11, 10)],
+        { levels: LEVEL_TABLE, micePerLevel: 1 });
+    state.powerups = [powerup(25, 25, 'slow')];
+    const result = step(state, null, rng);
+    assert.strictEqual(result.state.level, 2);
+    assert.ok(!result.state.powerups.some(p => p.x === 25 && p.y === 25));
+});
+
+// A two-carton round with both cartons and the mice placed by hand
+function duel(first, second, mice = [mouse(0, 29)], options = {}) {
+    const rng = createRng(1);
+    const state = createGameState({ ...options, players: 2 }, rng);
+    [first, second].forEach((carton, i) => {
+        state.players[i].snake = carton.snake.map(s => ({ x: s.x, y: s.y }));
+        state.players[i].direction = { x: carton.direction.x, y: carton.direction.y };
+    });
+    state.mice = mice.map(m => ({ ...m }));
+    return { state, rng };
+}
+
+const RIGHT = { x: 1, y: 0 };
+const LEFT = { x: -1, y: 0 };
+const DOWN = { x: 0, y: 1 };
+
+test('two heads meeting knock both cartons out', () => {
+    const { state, rng } = duel(
+        { snake: [{ x: 10, y: 10 }, { x: 9, y: 10 }], direction: RIGHT },
+        { snake: [{ x: 12, y: 10 }, { x: 13, y: 10 }], direction: LEFT });
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events, [
+        { type: 'died', player: 0, reason: 'headon' },
+        { type: 'died', player: 1, reason: 'headon' },
+        { type: 'result', winner: null, reason: 'crash' }
+    ]);
+    assert.strictEqual(result.state.status, 'over');
+    assert.ok(result.state.players.every(p => !p.alive));
+
+    // Both out at once: the higher score takes the round
+    state.players[1].score = 3;
+    assert.strictEqual(step(state, null, rng).state.winner, 1);
+});
+
+test('driving into the rival\'s body loses the round', () => {
+    const { state, rng } = duel(
+        { snake: [{ x: 10, y: 10 }, { x: 9, y: 10 }], direction: RIGHT },
+        { snake: [{ x: 11, y: 12 }, { x: 11, y: 11 }, { x: 11, y: 10 }, { x: 11, y: 9 }], direction: DOWN });
+    // The crashing carton is ahead on points, but only the survivor can win
+    state.players[0].score = 9;
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events, [
+        { type: 'died', player: 0, reason: 'carton' },
+        { type: 'result', winner: 1, reason: 'crash' }
+    ]);
+    assert.strictEqual(result.state.winner, 1);
+    assert.strictEqual(result.state.players[1].alive, true);
+});
+
+test('the first carton to the quota wins, and a tie on the quota is a draw', () => {
+    const cartons = [
+        { snake: [{ x: 10, y: 10 }, { x: 9, y: 10 }], direction: RIGHT },
+        { snake: [{ x: 20, y: 20 }, { x: 21, y: 20 }], direction: LEFT }
+    ];
+    const { state, rng } = duel(cartons[0], cartons[1], [mouse(11, 10)], { mouseQuota: 3 });
+    state.players.forEach(p => { p.caught = 2; p.score = 2; });
+    const result = step(state, null, rng);
+    assert.deepStrictEqual(result.events.slice(-1), [{ type: 'result', winner: 0, reason: 'quota' }]);
+    assert.strictEqual(result.state.status, 'over');
+
+    // Both reach the quota on the same tick with the same score
+    state.mice = [mouse(11, 10), mouse(19, 20)];
+    const tied = step(state, null, rng);
+    assert.deepStrictEqual(tied.events.slice(-1), [{ type: 'result', winner: null, reason: 'quota' }]);
+});
@@ -0,0 +1,69 @@
+// The high-score table in highscores.js, kept in a stand-in storage. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    HIGHSCORE_KEY, HIGHSCORE_LIMIT, loadHighScores, saveHighScores, qualifiesForHighScore,
+    addHighScore, mergeHighScores, serializeHighScores, parseHighScores
+} = require('../highscores.js');
+
+// Just enough of localStorage for the table
+function fakeStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function entry(name, score, day) {
+    return { name, score, date: `2026-01-${String(day).padStart(2, '0')}T00:00:00.000Z`, length: 3 + score, durationMs: 1000, mode: 'Wrap · Open Field' };
+}
+
+test('entries go in by score, ties to the earlier run, and the table stops at ten', () => {
+    let table = [];
+    for (let i = 1; i <= HIGHSCORE_LIMIT; i++) table = addHighScore(table, entry(`p${i}`, i * 2, i)).table;
+    assert.strictEqual(table.length, HIGHSCORE_LIMIT);
+    assert.strictEqual(table[0].score, 20);
+
+    // A tie with 10 (set on day 5) ranks after it
+    const tie = addHighScore(table, entry('late', 10, 20));
+    assert.strictEqual(tie.rank, 6);
+    assert.strictEqual(tie.table[5].name, 'p5');
+    assert.strictEqual(tie.table.length, HIGHSCORE_LIMIT);
+    assert.ok(!tie.table.some(e => e.name === 'p1'));
+
+    // Too low to make the cut
+    assert.strictEqual(qualifiesForHighScore(table, 2), false);
+    assert.strictEqual(addHighScore(table, entry('low', 1, 21)).rank, -1);
+    assert.strictEqual(qualifiesForHighScore(table, 3), true);
+    assert.strictEqual(qualifiesForHighScore([], 0), false);
+});
+
+test('the table round-trips through storage and survives junk in it', () => {
+    const storage = fakeStorage();
+    const table = addHighScore([], entry('ponki', 7, 1)).table;
+    saveHighScores(storage, table);
+    assert.deepStrictEqual(loadHighScores(storage), table);
+
+    assert.deepStrictEqual(loadHighScores(fakeStorage({ [HIGHSCORE_KEY]: '{not json' })), []);
+    const mixed = JSON.stringify([entry('ok', 3, 2), { name: 5, score: 'x' }, null]);
+    assert.deepStrictEqual(loadHighScores(fakeStorage({ [HIGHSCORE_KEY]: mixed })).map(e => e.name), ['ok']);
+
+    // A storage that refuses writes (private mode, full quota) is not an error
+    assert.doesNotThrow(() => saveHighScores({ setItem() { throw new Error('quota'); } }, table));
+});
+
+test('imports are validated and merged without duplicates', () => {
+    const mine = [entry('a', 9, 1), entry('b', 4, 2)];
+    const theirs = parseHighScores(serializeHighScores([entry('b', 4, 2), entry('c', 6, 3)]));
+    assert.deepStrictEqual(mergeHighScores(mine, theirs).map(e => e.name), ['a', 'c', 'b']);
+
+    // A bare list is accepted too
+    assert.strictEqual(parseHighScores(JSON.stringify([entry('d', 1, 4)])).length, 1);
+    assert.throws(() => parseHighScores('nope'), /not valid JSON/);
+    assert.throws(() => parseHighScores('{"version":1}'), /has no scores/);
+    // Names are capped and missing fields defaulted
+    const [clean] = parseHighScores(JSON.stringify([{ name: 'x'.repeat(40), score: 2, date: '2026-02-01' }]));
+    assert.deepStrictEqual(clean, { name: 'x'.repeat(16), score: 2, date: '2026-02-01', length: 0, durationMs: 0, mode: '' });
+});
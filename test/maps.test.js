@@ -0,0 +1,44 @@
+// Map parsing in maps.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TILE_COUNT, createGameState, createRng } = require('../game.js');
+const { MAP_SIZE, BUILTIN_MAPS, getBuiltinMap, parseMap } = require('../maps.js');
+
+test('maps are as big as the board', () => {
+    assert.strictEqual(MAP_SIZE, TILE_COUNT);
+});
+
+test('every built-in map leaves room to start', () => {
+    for (const { id } of BUILTIN_MAPS) {
+        const map = getBuiltinMap(id);
+        assert.doesNotThrow(() => createGameState({ map }, createRng(1)), id);
+    }
+});
+
+test('map files parse from a bare grid or either JSON form', () => {
+    const expected = [{ x: 1, y: 0 }, { x: 0, y: 2 }];
+    assert.deepStrictEqual(parseMap('.#\n..\n#.\n', 'Tiny'), { name: 'Tiny', obstacles: expected });
+    assert.deepStrictEqual(parseMap(JSON.stringify({ name: 'Grid', grid: ['.#', '..', '#.'] })),
+        { name: 'Grid', obstacles: expected });
+    assert.deepStrictEqual(parseMap(JSON.stringify({ obstacles: expected })),
+        { name: 'Custom map', obstacles: expected });
+    // Leading spaces are open floor, not indentation
+    assert.deepStrictEqual(parseMap('  #').obstacles, [{ x: 2, y: 0 }]);
+});
+
+test('malformed map files are rejected with a readable message', () => {
+    const broken = [
+        ['   \n', /empty/],
+        ['{ "grid": [', /not valid JSON/],
+        ['{ "name": "x" }', /needs a "grid" or "obstacles"/],
+        [JSON.stringify({ grid: [1, 2] }), /rows must be strings/],
+        [JSON.stringify({ obstacles: [{ x: TILE_COUNT, y: 0 }] }), /outside the board/],
+        ['#'.repeat(TILE_COUNT + 1), /wider than/],
+        ['.\n'.repeat(TILE_COUNT + 1), /more than/],
+        ['..x', /Unknown map tile 'x'/]
+    ];
+    for (const [text, message] of broken) {
+        assert.throws(() => parseMap(text), message, text);
+    }
+});
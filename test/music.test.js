@@ -0,0 +1,89 @@
+// The MIDI reader and the playlist order in music.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { createRng } = require('../game.js');
+const { trackKind, parseMidi, INSTRUMENTS, instrumentFor, createPlaylist } = require('../music.js');
+
+// A format 0 file at 96 ticks per quarter note with the given track events
+function midiFile(events) {
+    const track = [...events, 0x00, 0xff, 0x2f, 0x00];
+    const length = track.length;
+    return Uint8Array.from([
+        0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+        0x4d, 0x54, 0x72, 0x6b, length >>> 24, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+        ...track
+    ]);
+}
+
+test('track kinds follow the file extension', () => {
+    assert.strictEqual(trackKind('assets/mouse-waltz.mid'), 'midi');
+    assert.strictEqual(trackKind('song.MIDI'), 'midi');
+    assert.strictEqual(trackKind('song.mp3'), 'media');
+});
+
+test('notes are timed in seconds through tempo changes and running status', () => {
+    const song = parseMidi(midiFile([
+        0x00, 0xc0, 33, // bass program on channel 0
+        0x00, 0x90, 60, 100,
+        0x60, 60, 0, // a quarter note later, released by running status with velocity 0
+        0x00, 0xff, 0x51, 0x03, 0x03, 0xd0, 0x90, // 250000 µs per quarter: twice as fast
+        0x00, 0x90, 64, 80,
+        0x60, 0x80, 64, 0
+    ]));
+    assert.strictEqual(song.notes.length, 2);
+    assert.deepStrictEqual(song.notes[0], { start: 0, duration: 0.5, note: 60, velocity: 100, channel: 0, program: 33 });
+    assert.strictEqual(song.notes[1].start, 0.5);
+    assert.strictEqual(song.notes[1].duration, 0.25);
+    assert.strictEqual(song.duration, 0.75);
+    assert.strictEqual(instrumentFor(song.notes[0].program), INSTRUMENTS.bass);
+});
+
+test('a note that is never released rings until the end', () => {
+    const song = parseMidi(midiFile([0x00, 0x90, 60, 100, 0x60, 0x90, 62, 100, 0x60, 0x80, 62, 0]));
+    assert.strictEqual(song.notes[0].duration, 1);
+    assert.strictEqual(song.duration, 1);
+});
+
+test('unusable files are rejected with a readable message', () => {
+    assert.throws(() => parseMidi(new Uint8Array(20)), /Not a MIDI file/);
+    assert.throws(() => parseMidi(midiFile([0x00, 0xff, 0x01, 0x00])), /no notes/);
+    const file = midiFile([0x00, 0x90, 60, 100, 0x60, 0x80, 60, 0]);
+    assert.throws(() => parseMidi(file.slice(0, file.length - 6)), /truncated/);
+});
+
+test('the bundled track parses', () => {
+    const song = parseMidi(fs.readFileSync(path.join(__dirname, '../assets/mouse-waltz.mid')));
+    assert.ok(song.notes.length > 0);
+    assert.ok(song.duration > 0);
+});
+
+test('the playlist plays in order and wraps around', () => {
+    const playlist = createPlaylist(['a', 'b', 'c']);
+    assert.deepStrictEqual([playlist.current(), playlist.next(), playlist.next(), playlist.next()], ['a', 'b', 'c', 'a']);
+    assert.strictEqual(createPlaylist([]).next(), null);
+});
+
+test('shuffle plays every track once per round and never repeats across rounds', () => {
+    const playlist = createPlaylist(['a', 'b', 'c', 'd'], { shuffle: true, rng: createRng(7) });
+    let last = playlist.current();
+    for (let round = 0; round < 5; round++) {
+        const heard = [last];
+        for (let i = 1; i < 4; i++) heard.push(playlist.next());
+        assert.deepStrictEqual([...heard].sort(), ['a', 'b', 'c', 'd']);
+        last = playlist.next();
+        assert.notStrictEqual(last, heard[3]);
+    }
+});
+
+test('toggling shuffle keeps the current track playing', () => {
+    const playlist = createPlaylist(['a', 'b', 'c', 'd']);
+    playlist.next();
+    playlist.setShuffle(true);
+    assert.strictEqual(playlist.current(), 'b');
+    playlist.setShuffle(false);
+    assert.strictEqual(playlist.current(), 'b');
+    assert.strictEqual(playlist.next(), 'c');
+});
@@ -0,0 +1,73 @@
+// Recording a run and playing it back through replay.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, createGameState, step } = require('../game.js');
+const { createRecorder, createReplayPlayer, serializeReplay, parseReplay } = require('../replay.js');
+
+// Play a run from `seed`, steering on a fixed pattern, until it ends or 300 ticks pass
+function recordRun(seed, options = {}) {
+    const recorder = createRecorder(seed, options);
+    const rng = createRng(seed);
+    let state = createGameState(options, rng);
+    const turns = [{ x: 0, y: 1 }, { x: 1, y: 0 }, { x: 0, y: -1 }, { x: 1, y: 0 }];
+    while (state.status === 'running' && state.tick < 300) {
+        // The first carton steers on a fixed beat; a second one (if any) turns off-beat
+        const beat = state.tick % 9;
+        const directions = state.players.map((p, i) => (beat === i * 4 ? turns[Math.floor(state.tick / 9) % 4] : null));
+        const input = directions.some(Boolean) ? { directions } : null;
+        if (input) recorder.record(state.tick, input.directions);
+        state = step(state, input, rng).state;
+    }
+    return { replay: recorder.finish(state), state };
+}
+
+// Feed a replay back the way main.js does
+function playBack(replay) {
+    const player = createReplayPlayer(replay);
+    const rng = createRng(replay.seed);
+    let state = createGameState(replay.options, rng);
+    while (state.status === 'running' && state.tick < replay.ticks) {
+        state = step(state, player.inputFor(state.tick), rng).state;
+    }
+    return state;
+}
+
+test('a replay reproduces the recorded run tick for tick', () => {
+    const { replay, state } = recordRun(1234, { mouseQuota: 5 });
+    assert.ok(replay.inputs.length > 0);
+    assert.strictEqual(replay.ticks, state.tick);
+    assert.deepStrictEqual(playBack(replay), state);
+});
+
+test('a two-carton replay reproduces both cartons', () => {
+    const { replay, state } = recordRun(4321, { players: 2 });
+    assert.ok(replay.inputs.some(entry => entry.directions[1]));
+    assert.strictEqual(replay.result.scores.length, 2);
+    assert.deepStrictEqual(playBack(replay), state);
+});
+
+test('a replay survives export and import', () => {
+    const { replay, state } = recordRun(77);
+    const imported = parseReplay(serializeReplay(replay));
+    assert.deepStrictEqual(imported, replay);
+    assert.deepStrictEqual(playBack(imported), state);
+});
+
+test('importing rejects files that are not replays', () => {
+    const good = recordRun(5).replay;
+    const broken = [
+        ['not json', /not valid JSON/],
+        ['null', /empty/],
+        [JSON.stringify({ ...good, version: 99 }), /Unsupported replay version/],
+        [JSON.stringify({ ...good, seed: 'abc' }), /missing its seed/],
+        [JSON.stringify({ ...good, inputs: undefined }), /missing its inputs/],
+        [JSON.stringify({ ...good, inputs: [{ tick: 1, directions: [{ x: 'left' }] }] }), /malformed input/],
+        [JSON.stringify({ ...good, options: { map: { name: 'Bad', obstacles: [{ x: 'a' }] } } }), /malformed map/],
+        [JSON.stringify({ ...good, options: { levels: [{ speed: 0 }] } }), /malformed level/],
+        [JSON.stringify({ ...good, options: { levels: [{ speed: 90, map: 'pillars' }] } }), /malformed level/]
+    ];
+    for (const [text, message] of broken) {
+        assert.throws(() => parseReplay(text), message, text);
+    }
+});
@@ -0,0 +1,74 @@
+// Saving and restoring a run with saves.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRng, createGameState, step } = require('../game.js');
+const {
+    SAVE_KEY, createSnapshot, parseSnapshot, loadSnapshot, saveSnapshot, clearSnapshot
+} = require('../saves.js');
+
+// Just enough of localStorage for a saved run
+function fakeStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// A run `ticks` steps in, steering now and then
+function runFor(ticks, seed = 11) {
+    const rng = createRng(seed);
+    let state = createGameState({ players: 2 }, rng);
+    for (let i = 0; i < ticks && state.status === 'running'; i++) {
+        const input = i % 6 === 0 ? { directions: [{ x: 0, y: i % 12 ? 1 : -1 }, null] } : null;
+        state = step(state, input, rng).state;
+    }
+    return { state, rng };
+}
+
+// Step a run on with nobody steering
+function continueFor(state, rng, ticks) {
+    for (let i = 0; i < ticks && state.status === 'running'; i++) state = step(state, null, rng).state;
+    return state;
+}
+
+test('a restored run carries on exactly as the original would have', () => {
+    const { state, rng } = runFor(20);
+    assert.strictEqual(state.status, 'running');
+    const storage = fakeStorage();
+    saveSnapshot(storage, createSnapshot(state, rng.getState(), { options: { players: 2 }, runTimeMs: 1234 }));
+
+    const saved = loadSnapshot(storage);
+    assert.deepStrictEqual(saved.state, state);
+    assert.strictEqual(saved.runTimeMs, 1234);
+    assert.deepStrictEqual(saved.options, { players: 2 });
+    assert.strictEqual(saved.replay, null);
+    assert.deepStrictEqual(continueFor(saved.state, createRng(saved.rngState), 30), continueFor(state, rng, 30));
+
+    clearSnapshot(storage);
+    assert.strictEqual(loadSnapshot(storage), null);
+});
+
+test('broken or unusable saves are refused with a readable message', () => {
+    const { state, rng } = runFor(5);
+    const good = createSnapshot(state, rng.getState());
+    const withState = change => JSON.stringify({ ...good, state: { ...good.state, ...change } });
+    const broken = [
+        ['{', /not valid JSON/],
+        [JSON.stringify({ ...good, version: 0 }), /another version/],
+        [JSON.stringify({ ...good, rngState: 'x' }), /missing its random seed/],
+        [withState({ status: 'dead' }), /no game in progress/],
+        [withState({ players: [{ snake: [] }] }), /malformed carton/],
+        [withState({ mice: [{ type: 'dragon', x: 1, y: 1 }] }), /malformed board/],
+        [withState({ powerups: [{ type: 'normal', x: 1, y: 1 }] }), /malformed board/],
+        [withState({ obstacles: [{ x: 'a' }] }), /malformed board/]
+    ];
+    for (const [text, message] of broken) {
+        assert.throws(() => parseSnapshot(text), message, text.slice(0, 60));
+    }
+    const storage = fakeStorage();
+    storage.setItem(SAVE_KEY, '{');
+    assert.throws(() => loadSnapshot(storage), /not valid JSON/);
+});
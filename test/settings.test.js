@@ -0,0 +1,50 @@
+// Loading and key bindings in settings.js. Run with `node --test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SETTINGS_KEY, DEFAULT_SETTINGS, normalizeKey, sanitizeSettings, loadSettings, saveSettings,
+    actionForKey, bindingConflict
+} = require('../settings.js');
+
+// Just enough of localStorage for the settings
+function fakeStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('settings round-trip through storage', () => {
+    const storage = fakeStorage();
+    const settings = sanitizeSettings({ deadZone: 0.5, musicVolume: 0.25, muted: true, keys: { pause: 'p' } });
+    saveSettings(storage, settings);
+    assert.deepStrictEqual(loadSettings(storage), settings);
+    assert.strictEqual(loadSettings(storage).keys.pause, 'p');
+    assert.strictEqual(loadSettings(storage).muted, true);
+});
+
+test('missing, malformed and out-of-range values fall back or clamp', () => {
+    assert.deepStrictEqual(loadSettings(fakeStorage()), DEFAULT_SETTINGS);
+    assert.deepStrictEqual(loadSettings(fakeStorage({ [SETTINGS_KEY]: '{oops' })), DEFAULT_SETTINGS);
+    const settings = sanitizeSettings({ swipeThreshold: 5000, sfxVolume: -1, deadZone: 'lots', keys: { p1Up: 7 } });
+    assert.strictEqual(settings.swipeThreshold, 100);
+    assert.strictEqual(settings.sfxVolume, 0);
+    assert.strictEqual(settings.deadZone, DEFAULT_SETTINGS.deadZone);
+    assert.strictEqual(settings.keys.p1Up, DEFAULT_SETTINGS.keys.p1Up);
+});
+
+test('a key can only drive one action', () => {
+    const keys = DEFAULT_SETTINGS.keys;
+    assert.strictEqual(actionForKey(keys, normalizeKey('W')), 'p1Up');
+    assert.strictEqual(actionForKey(keys, normalizeKey(' ')), 'pause');
+    assert.strictEqual(actionForKey(keys, 'q'), null);
+    assert.strictEqual(bindingConflict(keys, 'pause', 'w'), 'p1Up');
+    assert.strictEqual(bindingConflict(keys, 'p1Up', 'w'), null);
+    // A saved file that binds one key twice gets the defaults for both actions
+    const settings = sanitizeSettings({ keys: { p1Up: 'x', p1Down: 'x', pause: 'p' } });
+    assert.strictEqual(settings.keys.p1Up, DEFAULT_SETTINGS.keys.p1Up);
+    assert.strictEqual(settings.keys.p1Down, DEFAULT_SETTINGS.keys.p1Down);
+    assert.strictEqual(settings.keys.pause, 'p');
+});